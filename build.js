@@ -9,6 +9,8 @@
  *                    and the createIPN / runSSHSession exports)
  *  main.wasm        Go WASM binary — the Tailscale node itself
  *  xterm.css        xterm.js stylesheet (from @xterm/xterm)
+ *  sw-version.js    the @tailscale/connect version plus a hash of the bundle,
+ *                   which names the service worker's cache (see public/sw.js)
  *
  * Why a custom build script?
  * ──────────────────────────
@@ -23,7 +25,8 @@
  * Run:  node build.js   (or: npm run build)
  */
 
-import { copyFileSync, existsSync, readdirSync } from "fs";
+import { createHash } from "crypto";
+import { copyFileSync, existsSync, readdirSync, readFileSync, writeFileSync } from "fs";
 import { resolve, join } from "path";
 import { createRequire } from "module";
 
@@ -65,6 +68,20 @@ copy(join(tsDir, "main.wasm"), join(PUBLIC, "main.wasm"));
 
 copy(join(tsDir, "pkg.css"), join(PUBLIC, "pkg.css"));
 
+// ─── sw-version.js ───────────────────────────────────────────────────────────
+// The service worker caches main.wasm / pkg.js / pkg.css under this version,
+// so a new @tailscale/connect gets a fresh cache and the old one is evicted.
+// A hash of the files is appended: a bundle rebuilt under the same package
+// version (a local or patched package) must not be served from the old cache.
+
+const pkgVersion = JSON.parse(readFileSync(join(tsDir, "package.json"), "utf8")).version;
+const bundleHash = createHash("sha256");
+for (const f of ["main.wasm", "pkg.js", "pkg.css"]) bundleHash.update(readFileSync(join(PUBLIC, f)));
+const version = `${pkgVersion}-${bundleHash.digest("hex").slice(0, 12)}`;
+const swVersion = join(PUBLIC, "sw-version.js");
+writeFileSync(swVersion, `// Generated by build.js — do not edit\nself.TAILSSH_CONNECT_VERSION = ${JSON.stringify(version)};\n`);
+console.log(`  ✓  ${swVersion.replace(process.cwd() + "/", "")} (${version})`);
+
 // ─── Done ────────────────────────────────────────────────────────────────────
 
 console.log("\nBuild complete.  Public assets:\n");
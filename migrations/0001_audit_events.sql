@@ -0,0 +1,22 @@
+-- SSH session audit log written by POST /api/audit (see src/worker.js).
+-- Apply with:  npx wrangler d1 migrations apply <db-name> [--local|--remote]
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  received_at TEXT NOT NULL,   -- Worker receive time, ISO 8601
+  occurred_at TEXT NOT NULL,   -- browser-reported event time, ISO 8601
+  identity    TEXT,            -- Cloudflare Access email; NULL without Access
+  client_ip   TEXT,
+  event       TEXT NOT NULL,   -- start | connect | end | error
+  session_id  TEXT NOT NULL,   -- random per SSH session, groups its events
+  tailnet     TEXT,
+  device_id   TEXT,
+  device_name TEXT,
+  username    TEXT,            -- SSH login user
+  tab_label   TEXT,
+  reason      TEXT             -- exit or error reason for end/error events
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_received ON audit_events (received_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_session  ON audit_events (session_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_identity ON audit_events (identity);
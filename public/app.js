@@ -3,10 +3,13 @@
  *
  * Architecture:
  *  - One Tailscale WASM node shared across all tabs
- *  - Each "tab" is an object { id, tabEl, paneEl, session, label }
- *  - A tab pane is either a picker (device list) or a live terminal
+ *  - Each "tab" is an object { id, tabEl, paneEl, layout, focusedPane, label,
+ *    state }; `layout` is a tree of split panes (see "Split panes")
+ *  - Each pane is a picker (device list), a live or ended terminal, or a
+ *    recording player, and owns its session, recording, player and
+ *    endedScreen
  *  - Tabs are drag-reorderable via HTML5 drag-and-drop
- *  - Closing a tab gracefully closes its SSH session first
+ *  - Closing a pane or tab gracefully closes its SSH sessions first
  */
 
 import { createIPN, runSSHSession } from "./pkg.js";
@@ -34,34 +37,277 @@ const usernameModalDesc= document.getElementById("username-modal-desc");
 const usernameCancelBtn= document.getElementById("username-cancel-btn");
 const usernameConnectBtn=document.getElementById("username-connect-btn");
 const logoutBtn        = document.getElementById("logout-btn");
+const deviceDrawer     = document.getElementById("device-drawer");
+const deviceDrawerTitle= document.getElementById("device-drawer-title");
+const deviceDrawerBody = document.getElementById("device-drawer-body");
+const deviceDrawerClose= document.getElementById("device-drawer-close");
+const profileModal     = document.getElementById("profile-modal");
+const profileForm      = document.getElementById("profile-form");
+const profileModalDesc = document.getElementById("profile-modal-desc");
+const profileNameInput = document.getElementById("profile-name-input");
+const profileUserInput = document.getElementById("profile-user-input");
+const profileLabelInput= document.getElementById("profile-label-input");
+const profileStartupInput   = document.getElementById("profile-startup-input");
+const profileAppearanceInput= document.getElementById("profile-appearance-input");
+const profileModalError= document.getElementById("profile-modal-error");
+const profileCancelBtn = document.getElementById("profile-cancel-btn");
+const restoreBanner    = document.getElementById("restore-banner");
+const restoreBannerText= document.getElementById("restore-banner-text");
+const restoreAutoInput = document.getElementById("restore-auto-input");
+const restoreDismissBtn= document.getElementById("restore-dismiss-btn");
+const restoreBtn       = document.getElementById("restore-btn");
+const settingsBtn      = document.getElementById("settings-btn");
+const settingsDrawer   = document.getElementById("settings-drawer");
+const settingsDrawerClose = document.getElementById("settings-drawer-close");
+const settingsForm     = document.getElementById("settings-form");
+const settingsScope    = document.getElementById("settings-scope");
+const settingsTheme    = document.getElementById("settings-theme");
+const settingsCustomTheme = document.getElementById("settings-custom-theme");
+const settingsFontFamily  = document.getElementById("settings-font-family");
+const settingsFontSize    = document.getElementById("settings-font-size");
+const settingsLineHeight  = document.getElementById("settings-line-height");
+const settingsCursorStyle = document.getElementById("settings-cursor-style");
+const settingsCursorBlink = document.getElementById("settings-cursor-blink");
+const settingsScrollback  = document.getElementById("settings-scrollback");
+const settingsError    = document.getElementById("settings-error");
+const settingsResetBtn = document.getElementById("settings-reset-btn");
+const settingsReconnect     = document.getElementById("settings-reconnect");
+const settingsReconnectText = document.getElementById("settings-reconnect-text");
+const settingsReconnectBtn  = document.getElementById("settings-reconnect-btn");
+const broadcastControls= document.getElementById("broadcast-controls");
+const broadcastBtn     = document.getElementById("broadcast-btn");
+const broadcastClearBtn= document.getElementById("broadcast-clear-btn");
+const paletteBtn       = document.getElementById("palette-btn");
+const paletteOverlay   = document.getElementById("palette");
+const paletteInput     = document.getElementById("palette-input");
+const paletteList      = document.getElementById("palette-list");
+const shortcutsDrawer  = document.getElementById("shortcuts-drawer");
+const shortcutsDrawerClose = document.getElementById("shortcuts-drawer-close");
+const shortcutsTable   = document.getElementById("shortcuts-table");
+const shortcutsMsg     = document.getElementById("shortcuts-msg");
+const shortcutsResetBtn= document.getElementById("shortcuts-reset-btn");
+const inspectorBtn     = document.getElementById("inspector-btn");
+const inspectorDrawer  = document.getElementById("inspector-drawer");
+const inspectorDrawerClose = document.getElementById("inspector-drawer-close");
+const inspectorBody    = document.getElementById("inspector-body");
+const inspectorCopyBtn = document.getElementById("inspector-copy-btn");
+const inspectorMsg     = document.getElementById("inspector-msg");
+const nodeModal        = document.getElementById("node-modal");
+const nodeModalDesc    = document.getElementById("node-modal-desc");
+const nodeModeList     = document.getElementById("node-mode-list");
+const nodeCancelBtn    = document.getElementById("node-cancel-btn");
+const nodeForgetBtn    = document.getElementById("node-forget-btn");
+const nodeLogoutBtn    = document.getElementById("node-logout-btn");
+const nodeApplyBtn     = document.getElementById("node-apply-btn");
 
 // ─── Global state ────────────────────────────────────────────────────────────
 let pendingLoginURL = null;
 let tabIdSeq = 0;
-/** @type {Array<{id:number, tabEl:HTMLElement, paneEl:HTMLElement, session:object|null, label:string}>} */
+/** @type {Array<{id:number, tabEl:HTMLElement, paneEl:HTMLElement, layout:object, focusedPane:object, label:string}>} */
 const tabs = [];
 let activeTabId = null;
 /** @type {object|null} — set once Tailscale is Running */
 let globalIpn = null;
 
+// ─── Tailnets ─────────────────────────────────────────────────────────────────
+// The Worker may serve several tailnets (GET /api/tailnets).  The browser node
+// can only be in one of them, so the chosen tailnet is kept per browser tab in
+// sessionStorage next to the node state, and switching means a fresh node.
+
+const SS_TAILNET = "tailssh:tailnet";
+
+/** @type {Array<{name:string, label:string, default:boolean}>} */
+let tailnets = [];
+/** Name of the tailnet the browser node belongs to; null if unknown. */
+let currentTailnet = null;
+
+async function loadTailnets() {
+  try {
+    const resp = await fetch("/api/tailnets", { cache: "no-store" });
+    if (resp.ok) tailnets = await resp.json();
+  } catch (err) {
+    console.warn("[tailnets] could not load tailnet list:", err.message);
+  }
+  let stored = null;
+  try { stored = sessionStorage.getItem(SS_TAILNET); } catch {}
+  currentTailnet = tailnets.find(t => t.name === stored)?.name
+    ?? tailnets.find(t => t.default)?.name
+    ?? null;
+}
+
+/** "?tailnet=<name>" for API calls, or "" when the Worker has just one. */
+function tailnetQuery(tailnet = currentTailnet) {
+  return tailnet ? `?tailnet=${encodeURIComponent(tailnet)}` : "";
+}
+
+/**
+ * Move the browser node to another tailnet: drop its node state and reload,
+ * so it boots and logs in afresh (with an auth key for the new tailnet if the
+ * Worker mints them).  The old ephemeral node is removed by Tailscale once it
+ * goes offline.  Returns false if the user declined to close open sessions.
+ */
+function switchTailnet(name) {
+  if (name === currentTailnet) return true;
+  const live = tabs.flatMap(t => allPanes(t.layout)).filter(p => p.session).length;
+  if (live && !confirm(`Switching tailnet closes ${live} open session${live === 1 ? "" : "s"}. Continue?`)) {
+    return false;
+  }
+  try {
+    sessionStorage.setItem(SS_TAILNET, name);
+    for (const key of Object.keys(sessionStorage)) {
+      if (key.startsWith("ts:")) sessionStorage.removeItem(key);
+    }
+  } catch {}
+  clearAllTabs();
+  showLoading("Switching tailnet…");
+  location.reload();
+  return true;
+}
+
 // ─── Device list cache ────────────────────────────────────────────────────────
-// Cached for the lifetime of the page; bust with forceRefreshDevices().
-/** @type {Array|null} */
-let deviceCache = null;
+// One entry per tailnet, reused for DEVICE_CACHE_TTL_MS, then revalidated with
+// If-None-Match so an unchanged list costs a bodyless 304.
+// forceRefreshDevices() revalidates on the next fetch; clearDeviceCache()
+// forgets every list.
+const DEVICE_CACHE_TTL_MS = 60 * 1000;
+
+/** @type {Map<string, {devices:Array, etag:string|null, fetchedAt:number}>} */
+const deviceCache = new Map();
 
 function forceRefreshDevices() {
-  deviceCache = null;
+  const entry = deviceCache.get(currentTailnet ?? "");
+  if (entry) entry.fetchedAt = 0;
+}
+
+function clearDeviceCache() {
+  deviceCache.clear();
 }
 
 async function fetchDevices() {
-  if (deviceCache) return deviceCache;
-  const resp = await fetch("/api/devices");
+  const key = currentTailnet ?? "";
+  const cached = deviceCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL_MS) {
+    return cached.devices;
+  }
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  // no-store: bypass the browser HTTP cache so the 304 reaches us untouched
+  const resp = await fetch(`/api/devices${tailnetQuery()}`, { headers, cache: "no-store" });
+  if (resp.status === 304 && cached) {
+    cached.fetchedAt = Date.now();
+    return cached.devices;
+  }
+  if (!resp.ok) {
+    const body = await resp.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${resp.status}`);
+  }
+  const entry = {
+    devices:   await resp.json(),
+    etag:      resp.headers.get("ETag"),
+    fetchedAt: Date.now(),
+  };
+  deviceCache.set(key, entry);
+  return entry.devices;
+}
+
+/** Full record for one device (GET /api/devices/:id); never cached. */
+async function fetchDeviceDetail(id) {
+  const resp = await fetch(`/api/devices/${encodeURIComponent(id)}${tailnetQuery()}`, { cache: "no-store" });
   if (!resp.ok) {
     const body = await resp.json().catch(() => ({}));
     throw new Error(body.error || `HTTP ${resp.status}`);
   }
-  deviceCache = await resp.json();
-  return deviceCache;
+  return resp.json();
+}
+
+// ─── Live netmap ──────────────────────────────────────────────────────────────
+// The browser node's network map lists every peer it can reach, with live
+// online state and whether Tailscale SSH is on.  It is merged over the API
+// list (whose `online` is only a guess from lastSeen): liveDevice() takes the
+// peer's state and marks devices missing from the netmap as unreachable.
+// A change in the peer set refetches the API list, so new devices still go
+// through the Worker's visibility policy rather than appearing straight from
+// the netmap.  Pickers subscribe with onNetmapChange().
+
+/**
+ * @type {{self:object, peers:Array, lockedOut:boolean, byAddr:Map<string, object>, keys:Set<string>}|null}
+ * null until the first netmap
+ */
+let netmap = null;
+const netmapListeners = new Set();
+let netmapRefetchTimer = null;
+const NETMAP_REFETCH_DELAY_MS = 1000;
+
+function handleNetMap(nm) {
+  const byAddr = new Map();
+  const keys = new Set();
+  for (const peer of nm.peers ?? []) {
+    keys.add(peer.nodeKey);
+    for (const addr of peer.addresses ?? []) byAddr.set(addr, peer);
+  }
+  const peersChanged = netmap !== null &&
+    (keys.size !== netmap.keys.size || [...keys].some(k => !netmap.keys.has(k)));
+  netmap = { self: nm.self ?? null, peers: nm.peers ?? [], lockedOut: !!nm.lockedOut, byAddr, keys };
+  recordNetmapTimeline(nm);
+
+  notifyNetmap(null);
+  if (!peersChanged) return;
+  // Peers come and go in bursts; refetch once they settle
+  clearTimeout(netmapRefetchTimer);
+  netmapRefetchTimer = setTimeout(async () => {
+    forceRefreshDevices();
+    try {
+      notifyNetmap(await fetchDevices());
+    } catch (err) {
+      console.warn("[netmap] could not refresh the device list:", err.message);
+    }
+  }, NETMAP_REFETCH_DELAY_MS);
+}
+
+/** @param {Array|null} devices the refetched API list when the peer set changed */
+function notifyNetmap(devices) {
+  for (const fn of netmapListeners) {
+    try { fn(devices); } catch (err) { console.error("[netmap] listener failed:", err); }
+  }
+}
+
+/** Call `fn(devices|null)` on every netmap update; returns an unsubscribe function. */
+function onNetmapChange(fn) {
+  netmapListeners.add(fn);
+  return () => netmapListeners.delete(fn);
+}
+
+/**
+ * An API device with the netmap's live state folded in.  Adds `reachable`:
+ * false when the browser node has no route to the device, undefined when
+ * unknown (no netmap yet, or the device is this browser node).
+ */
+function liveDevice(device) {
+  if (!netmap) return device;
+  const addrs = device.addresses ?? [];
+  if (addrs.some(a => netmap.self?.addresses?.includes(a))) return device;
+  const peer = addrs.map(a => netmap.byAddr.get(a)).find(Boolean);
+  if (!peer) return { ...device, online: false, reachable: false };
+  return {
+    ...device,
+    online:     typeof peer.online === "boolean" ? peer.online : device.online,
+    sshEnabled: peer.tailscaleSSHEnabled ?? device.sshEnabled,
+    reachable:  true,
+  };
+}
+
+async function fetchLiveDevices() {
+  return (await fetchDevices()).map(liveDevice);
+}
+
+/** Online, has Tailscale SSH, and not known to be out of the node's reach. */
+function canConnectTo(device) {
+  return device.online && device.sshEnabled && device.reachable !== false;
+}
+
+/** Changes when anything liveDevice() affects on a card changes. */
+function liveStatusKey(device) {
+  return `${device.online}|${device.sshEnabled}|${device.reachable}`;
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
@@ -121,6 +367,89 @@ function relativeTime(iso) {
   return `${Math.floor(h / 24)}d ago`;
 }
 
+/** "1:05" / "1:02:03" for a duration in seconds. */
+function formatDuration(seconds) {
+  const t = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const sec = String(t % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+/** Describe a key expiry timestamp relative to now ("in 3d", "expired 2h ago"). */
+function expiryText(iso) {
+  if (!iso) return "never (expiry disabled)";
+  const diff = new Date(iso).getTime() - Date.now();
+  if (diff <= 0) return `expired ${relativeTime(iso)}`;
+  const h = Math.floor(diff / 3600000);
+  if (h < 24) return `in ${Math.max(h, 1)}h`;
+  return `in ${Math.floor(h / 24)}d`;
+}
+
+// Keys expiring sooner than this are flagged in the device drawer
+const KEY_EXPIRY_WARN_MS = 7 * 24 * 60 * 60 * 1000;
+
+const isWordStart = (text, i) => i === 0 || /[\s\-_.@:/()]/.test(text[i - 1]);
+
+/**
+ * Case-insensitive fuzzy match of `query` against `text`.  Returns
+ * { score, indices } — higher scores rank first, indices are the matched
+ * character positions for highlighting — or null when it doesn't match.
+ * A contiguous substring beats a scattered subsequence; word starts and
+ * consecutive runs score extra.
+ */
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+
+  const at = t.indexOf(q);
+  if (at >= 0) {
+    return {
+      score: 100 + q.length * 4 + (isWordStart(t, at) ? 20 : 0) - Math.min(at, 20),
+      indices: Array.from(q, (_, i) => at + i),
+    };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const i = t.indexOf(ch, from);
+    if (i < 0) return null;
+    if (i === from && indices.length) score += 5;
+    else if (isWordStart(t, i)) score += 3;
+    else score -= 1;
+    indices.push(i);
+    from = i + 1;
+  }
+  return { score: score - Math.min(indices[0], 20) / 4, indices };
+}
+
+/** Fill `el` with `text`, wrapping the characters at `indices` in <mark>. */
+function renderHighlighted(el, text, indices = []) {
+  el.textContent = "";
+  const hits = new Set(indices);
+  let run = "";
+  let marked = false;
+  const flush = () => {
+    if (!run) return;
+    if (marked) {
+      const m = document.createElement("mark");
+      m.textContent = run;
+      el.appendChild(m);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    if (hits.has(i) !== marked) { flush(); marked = !marked; }
+    run += text[i];
+  }
+  flush();
+}
+
 // ─── localStorage username persistence ───────────────────────────────────────
 
 const LS_PREFIX = "tailssh:user:";
@@ -204,14 +533,585 @@ function promptUsername(device) {
   });
 }
 
+// ─── Connection profiles ──────────────────────────────────────────────────────
+// A profile is a named shortcut to a session:
+//   { id, name, deviceId, deviceName, username, tabLabel, startupCommand, appearance }
+// The device is kept by its stable Tailscale id (deviceName is only for
+// display when the device is gone); `appearance` overrides the terminal
+// appearance settings (see "Terminal appearance").  Profiles live in
+// localStorage and travel as JSON files.
+
+const LS_PROFILES = "tailssh:profiles";
+
+function loadProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LS_PROFILES) ?? "[]");
+    return Array.isArray(list) ? list.map(sanitizeProfile).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveProfiles(list) {
+  try { localStorage.setItem(LS_PROFILES, JSON.stringify(list)); } catch {}
+}
+
+/** Normalize a stored or imported profile; null if it is unusable. */
+function sanitizeProfile(p) {
+  if (!p || typeof p !== "object") return null;
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  const profile = {
+    id:             str(p.id) || crypto.randomUUID(),
+    name:           str(p.name),
+    deviceId:       str(p.deviceId),
+    deviceName:     str(p.deviceName),
+    username:       str(p.username),
+    tabLabel:       str(p.tabLabel),
+    startupCommand: str(p.startupCommand),
+    appearance:     null,
+  };
+  if (!profile.name || !profile.deviceId || !profile.username) return null;
+  try { profile.appearance = sanitizeAppearance(p.appearance); } catch { return null; }
+  return profile;
+}
+
+/** Insert or replace (by id) and persist. */
+function upsertProfile(profile) {
+  const list = loadProfiles();
+  const i = list.findIndex(p => p.id === profile.id);
+  if (i >= 0) list[i] = profile;
+  else list.push(profile);
+  saveProfiles(list);
+}
+
+function deleteProfile(id) {
+  saveProfiles(loadProfiles().filter(p => p.id !== id));
+}
+
+function exportProfiles() {
+  const json = JSON.stringify({ version: 1, profiles: loadProfiles() }, null, 2);
+  saveFile("tailssh-profiles.json", json, "application/json");
+}
+
+/**
+ * Let the user pick a profiles JSON file (as written by exportProfiles, or a
+ * bare array) and merge it in; profiles with a known id replace the local
+ * copy.  Resolves true if anything was imported.
+ */
+function importProfiles() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) { resolve(false); return; }
+      let incoming;
+      try {
+        const data = JSON.parse(await file.text());
+        incoming = Array.isArray(data) ? data : data?.profiles;
+        if (!Array.isArray(incoming)) throw new Error("no profiles list found");
+      } catch (err) {
+        alert(`Cannot import ${file.name}: ${err.message}`);
+        resolve(false);
+        return;
+      }
+      const valid = incoming.map(sanitizeProfile).filter(Boolean);
+      const list = loadProfiles();
+      let added = 0, updated = 0;
+      for (const p of valid) {
+        const i = list.findIndex(q => q.id === p.id);
+        if (i >= 0) { list[i] = p; updated++; }
+        else        { list.push(p); added++; }
+      }
+      saveProfiles(list);
+      const skipped = incoming.length - valid.length;
+      alert(`Imported ${added} new and ${updated} updated profile${added + updated === 1 ? "" : "s"}` +
+        (skipped ? ` (${skipped} invalid skipped).` : "."));
+      resolve(valid.length > 0);
+    });
+    input.click();
+  });
+}
+
+let profileModalBusy = false;
+
+/**
+ * Show the profile form for `initial` (a new or existing profile) and resolve
+ * with the saved profile, or null if cancelled.
+ */
+function promptProfile(initial) {
+  if (profileModalBusy) return Promise.resolve(null);
+  profileModalBusy = true;
+
+  return new Promise((resolve) => {
+    profileModalDesc.textContent = `Connects to ${initial.deviceName || initial.deviceId}`;
+    profileNameInput.value  = initial.name ?? "";
+    profileUserInput.value  = initial.username ?? "";
+    profileLabelInput.value = initial.tabLabel ?? "";
+    profileStartupInput.value = initial.startupCommand ?? "";
+    profileAppearanceInput.value = initial.appearance ? JSON.stringify(initial.appearance, null, 2) : "";
+    profileModalError.textContent = "";
+    profileModal.classList.remove("hidden");
+    profileNameInput.focus();
+    profileNameInput.select();
+
+    const cleanup = (result) => {
+      profileModalBusy = false;
+      profileModal.classList.add("hidden");
+      profileForm.removeEventListener("submit", onSave);
+      profileCancelBtn.removeEventListener("click", onCancel);
+      profileModal.removeEventListener("keydown", onKey);
+      resolve(result);
+    };
+
+    const onSave = (e) => {
+      e.preventDefault();
+      let appearance = null;
+      try {
+        const text = profileAppearanceInput.value.trim();
+        appearance = sanitizeAppearance(text ? JSON.parse(text) : null);
+      } catch (err) {
+        profileModalError.textContent = `Terminal appearance: ${err.message}`;
+        profileAppearanceInput.focus();
+        return;
+      }
+      const profile = sanitizeProfile({
+        ...initial,
+        name:           profileNameInput.value,
+        username:       profileUserInput.value,
+        tabLabel:       profileLabelInput.value,
+        startupCommand: profileStartupInput.value,
+        appearance,
+      });
+      if (!profile) {
+        profileModalError.textContent = "A name and a username are required.";
+        (profileNameInput.value.trim() ? profileUserInput : profileNameInput).focus();
+        return;
+      }
+      upsertProfile(profile);
+      cleanup(profile);
+    };
+    const onCancel = () => cleanup(null);
+    const onKey = (e) => {
+      if (e.key === "Escape") { e.preventDefault(); onCancel(); }
+    };
+
+    profileForm.addEventListener("submit", onSave);
+    profileCancelBtn.addEventListener("click", onCancel);
+    profileModal.addEventListener("keydown", onKey);
+  });
+}
+
+/** Resolve the profile's device in the current device list and connect. */
+async function connectProfile(pane, profile, ipn) {
+  if (pane.session) return;
+  let devices;
+  try {
+    devices = await fetchLiveDevices();
+  } catch (err) {
+    alert(`Could not load devices: ${err.message}`);
+    return;
+  }
+  const device = devices.find(d => d.id === profile.deviceId);
+  if (!device) {
+    alert(`${profile.name}: ${profile.deviceName || "the device"} is not in this tailnet (or not visible to you).`);
+    return;
+  }
+  if (!canConnectTo(device)) {
+    alert(`${profile.name}: ${device.online ? "Tailscale SSH is not enabled on" : "offline:"} ${device.displayName || device.name}.`);
+    return;
+  }
+  if (pane.session) return;
+  startSession(pane, {
+    ...deviceTarget(device),
+    user:           profile.username,
+    label:          profile.tabLabel || undefined,
+    startupCommand: profile.startupCommand || undefined,
+    appearance:     profile.appearance ?? undefined,
+  }, ipn);
+}
+
+/**
+ * Quick-connect row above the device grid: one chip per profile, plus
+ * import/export.  Re-renders itself after edits.
+ */
+function buildProfilesBar(pane, ipn) {
+  const el = document.createElement("div");
+  el.className = "picker-profiles";
+
+  const render = () => {
+    const profiles = loadProfiles();
+    el.innerHTML = "";
+
+    const title = document.createElement("span");
+    title.className = "picker-profiles-title";
+    title.textContent = "Profiles";
+    el.appendChild(title);
+
+    if (!profiles.length) {
+      const empty = document.createElement("span");
+      empty.className = "picker-profiles-empty";
+      empty.textContent = "Save one from a session's toolbar, or import a shared set.";
+      el.appendChild(empty);
+    }
+
+    for (const profile of profiles) {
+      const chip = document.createElement("span");
+      chip.className = "profile-chip";
+
+      const connect = document.createElement("button");
+      connect.className = "profile-chip-connect";
+      connect.title = `Connect as ${profile.username}`;
+      connect.textContent = profile.name;
+      const target = document.createElement("span");
+      target.className = "profile-chip-target";
+      target.textContent = `${profile.username}@${profile.deviceName || profile.deviceId}`;
+      connect.appendChild(target);
+      connect.addEventListener("click", () =>
+        connectProfile(pane, profile, ipn).catch(err => console.error("[connectProfile]", err))
+      );
+
+      const edit = document.createElement("button");
+      edit.className = "profile-chip-btn";
+      edit.title = "Edit profile";
+      edit.textContent = "✎";
+      edit.addEventListener("click", async () => {
+        if (await promptProfile(profile)) render();
+      });
+
+      const del = document.createElement("button");
+      del.className = "profile-chip-btn profile-delete";
+      del.title = "Delete profile";
+      del.textContent = "✕";
+      del.addEventListener("click", () => {
+        if (!confirm(`Delete profile "${profile.name}"?`)) return;
+        deleteProfile(profile.id);
+        render();
+      });
+
+      chip.append(connect, edit, del);
+      el.appendChild(chip);
+    }
+
+    const actions = document.createElement("span");
+    actions.className = "picker-profiles-actions";
+    const importBtn = document.createElement("button");
+    importBtn.className = "picker-refresh-btn";
+    importBtn.textContent = "Import";
+    importBtn.title = "Import profiles from a JSON file";
+    importBtn.addEventListener("click", async () => {
+      if (await importProfiles()) render();
+    });
+    actions.appendChild(importBtn);
+    if (profiles.length) {
+      const exportBtn = document.createElement("button");
+      exportBtn.className = "picker-refresh-btn";
+      exportBtn.textContent = "Export";
+      exportBtn.title = "Export profiles as JSON";
+      exportBtn.addEventListener("click", exportProfiles);
+      actions.appendChild(exportBtn);
+    }
+    el.appendChild(actions);
+  };
+
+  render();
+  return el;
+}
+
+// ─── Favorites, recents and grouping ─────────────────────────────────────────
+// Picker preferences kept in localStorage: starred device ids, the last few
+// connections (recorded when a session comes up) and how the grid is grouped,
+// with the groups the user collapsed.
+
+const LS_FAVORITES  = "tailssh:favorites";
+const LS_RECENTS    = "tailssh:recents";
+const LS_PICKER_VIEW= "tailssh:pickerView";
+const RECENTS_MAX = 8;
+
+const PICKER_GROUPINGS = {
+  none:   "No grouping",
+  tag:    "Group by tag",
+  os:     "Group by OS",
+  online: "Group by status",
+};
+
+function loadFavorites() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(LS_FAVORITES) ?? "[]");
+    return new Set(Array.isArray(ids) ? ids.filter(id => typeof id === "string") : []);
+  } catch {
+    return new Set();
+  }
+}
+
+/** Star or unstar a device; returns whether it is now a favorite. */
+function toggleFavorite(deviceId) {
+  const favorites = loadFavorites();
+  const on = !favorites.has(deviceId);
+  if (on) favorites.add(deviceId);
+  else    favorites.delete(deviceId);
+  try { localStorage.setItem(LS_FAVORITES, JSON.stringify([...favorites])); } catch {}
+  return on;
+}
+
+/** @returns {Array<{deviceId:string, deviceName:string, user:string, at:number}>} newest first */
+function loadRecents() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LS_RECENTS) ?? "[]");
+    return Array.isArray(list)
+      ? list.filter(r => r && typeof r.deviceId === "string" && typeof r.user === "string")
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function recordRecent(target) {
+  const entry = { deviceId: target.device.id, deviceName: target.displayName, user: target.user, at: Date.now() };
+  const list = loadRecents().filter(r => r.deviceId !== entry.deviceId || r.user !== entry.user);
+  list.unshift(entry);
+  try { localStorage.setItem(LS_RECENTS, JSON.stringify(list.slice(0, RECENTS_MAX))); } catch {}
+}
+
+/** @returns {{groupBy:string, collapsed:string[]}} */
+function loadPickerView() {
+  let view = {};
+  try { view = JSON.parse(localStorage.getItem(LS_PICKER_VIEW) ?? "{}") ?? {}; } catch {}
+  return {
+    groupBy:   view.groupBy in PICKER_GROUPINGS ? view.groupBy : "none",
+    collapsed: Array.isArray(view.collapsed) ? view.collapsed.filter(k => typeof k === "string") : [],
+  };
+}
+
+function savePickerView(view) {
+  try { localStorage.setItem(LS_PICKER_VIEW, JSON.stringify(view)); } catch {}
+}
+
+// Sorted after the named groups
+const UNGROUPED = { tag: "Untagged", os: "Unknown OS" };
+
+/** The group a device falls in for `groupBy` ("" when not grouping). */
+function pickerGroupKey(device, groupBy) {
+  switch (groupBy) {
+    case "tag": {
+      const tags = (device.tags ?? []).map(t => t.replace(/^tag:/, "")).sort();
+      return tags.length ? tags.join(" + ") : UNGROUPED.tag;
+    }
+    case "os":     return device.os || UNGROUPED.os;
+    case "online": return device.online ? "Online" : "Offline";
+  }
+  return "";
+}
+
+function comparePickerGroups(groupBy, a, b) {
+  if (groupBy === "online") return a === b ? 0 : a === "Online" ? -1 : 1;
+  const last = UNGROUPED[groupBy];
+  if ((a === last) !== (b === last)) return a === last ? 1 : -1;
+  return a.localeCompare(b);
+}
+
+/**
+ * "Recent" row above the device grid: one chip per recent user@device that
+ * is still in the list, connecting straight away without the username prompt.
+ */
+function buildRecentsBar(pane, ipn, devices) {
+  const byId = new Map(devices.map(d => [d.id, d]));
+  const recents = loadRecents().filter(r => byId.has(r.deviceId));
+  const el = document.createElement("div");
+  el.className = "picker-profiles picker-recents";
+  if (!recents.length) {
+    el.hidden = true;
+    return el;
+  }
+
+  const title = document.createElement("span");
+  title.className = "picker-profiles-title";
+  title.textContent = "Recent";
+  el.appendChild(title);
+
+  for (const recent of recents) {
+    const device = liveDevice(byId.get(recent.deviceId));
+    const target = { ...deviceTarget(device), user: recent.user };
+    const chip = document.createElement("span");
+    chip.className = "profile-chip";
+    const connect = document.createElement("button");
+    connect.className = "profile-chip-connect";
+    connect.textContent = `${recent.user}@${target.displayName}`;
+    const when = document.createElement("span");
+    when.className = "profile-chip-target";
+    when.textContent = relativeTime(new Date(recent.at).toISOString());
+    connect.appendChild(when);
+
+    if (canConnectTo(device)) {
+      connect.title = `Connect as ${recent.user}`;
+      connect.addEventListener("click", () => {
+        if (!pane.session) startSession(pane, target, ipn);
+      });
+    } else {
+      connect.disabled = true;
+      connect.title = device.online ? "Tailscale SSH not enabled on this device" : "Device is offline";
+    }
+    chip.appendChild(connect);
+    el.appendChild(chip);
+  }
+  return el;
+}
+
+// ─── Device detail drawer ─────────────────────────────────────────────────────
+
+// Bumped on every open/close so a slow response for a previous device is dropped
+let drawerSeq = 0;
+
+async function openDeviceDrawer(device) {
+  const seq = ++drawerSeq;
+  closeSettingsPanel();
+  closeShortcutsPanel();
+  closeInspector();
+  deviceDrawerTitle.textContent = device.displayName || device.name;
+  deviceDrawerBody.innerHTML = "";
+  const loadingEl = document.createElement("p");
+  loadingEl.className = "drawer-muted";
+  loadingEl.textContent = "Loading device details…";
+  deviceDrawerBody.appendChild(loadingEl);
+  deviceDrawer.classList.remove("hidden");
+
+  let detail;
+  try {
+    detail = await fetchDeviceDetail(device.id);
+  } catch (err) {
+    if (seq !== drawerSeq) return;
+    deviceDrawerBody.innerHTML = "";
+    const errorEl = document.createElement("div");
+    errorEl.className = "picker-error visible";
+    errorEl.textContent = `Could not load device details: ${err.message}`;
+    deviceDrawerBody.appendChild(errorEl);
+    return;
+  }
+  if (seq !== drawerSeq) return;
+  renderDeviceDetail(liveDevice(detail));
+}
+
+function closeDeviceDrawer() {
+  drawerSeq++;
+  deviceDrawer.classList.add("hidden");
+}
+
+/** Fill the drawer body from a /api/devices/:id record (DOM only, no innerHTML). */
+function renderDeviceDetail(d) {
+  deviceDrawerBody.innerHTML = "";
+
+  // ── problems first: these answer "why can't I connect?" ──
+  const issues = [];
+  if (!d.online)     issues.push("Device is offline.");
+  if (!d.sshEnabled) issues.push("Tailscale SSH is not enabled — run `tailscale set --ssh` on the device.");
+  if (!d.authorized) issues.push("Device is not authorized in the admin console.");
+  if (d.blocksIncomingConnections) issues.push("Device blocks incoming connections (shields up).");
+  if (d.keyExpiry) {
+    const left = new Date(d.keyExpiry).getTime() - Date.now();
+    if (left <= 0)                      issues.push("Node key has expired — the device must re-authenticate.");
+    else if (left < KEY_EXPIRY_WARN_MS) issues.push(`Node key expires ${expiryText(d.keyExpiry)}.`);
+  }
+  if (d.tailnetLockError) issues.push(`Tailnet lock: ${d.tailnetLockError}`);
+
+  if (issues.length) {
+    const list = document.createElement("ul");
+    list.className = "drawer-issues";
+    for (const text of issues) {
+      const li = document.createElement("li");
+      li.textContent = text;
+      list.appendChild(li);
+    }
+    deviceDrawerBody.appendChild(list);
+  }
+
+  const exitNode = d.exitNodeAdvertised
+    ? (d.exitNodeEnabled ? "Yes (approved)" : "Advertised, not approved")
+    : "No";
+
+  addDrawerSection("Status", [
+    ["Online",        d.online ? "Yes" : "No"],
+    ["Tailscale SSH", d.sshEnabled ? "Enabled" : "Disabled"],
+    ["Authorized",    d.authorized ? "Yes" : "No"],
+    ["Last seen",     relativeTime(d.lastSeen)],
+    ["Key expiry",    expiryText(d.keyExpiry)],
+    ["Client",        `${d.clientVersion || "unknown"}${d.updateAvailable ? " (update available)" : ""}`],
+  ]);
+
+  addDrawerSection("Identity", [
+    ["Name",     d.name],
+    ["Hostname", d.hostname || "—"],
+    ["OS",       d.os || "unknown"],
+    ["Creator",  d.user || "—"],
+    ["Created",  d.created ? new Date(d.created).toLocaleString() : "—"],
+    ["Tags",     d.tags?.length ? d.tags.join(", ") : "—"],
+    ["ID",       d.id],
+  ]);
+
+  addDrawerSection("Addresses", (d.addresses ?? []).map(a => [a.includes(":") ? "IPv6" : "IPv4", a]));
+
+  addDrawerSection("Routes", [
+    ["Exit node",  exitNode],
+    ["Advertised", d.advertisedRoutes?.length ? d.advertisedRoutes.join(", ") : "—"],
+    ["Enabled",    d.enabledRoutes?.length ? d.enabledRoutes.join(", ") : "—"],
+  ]);
+
+  const conn = d.clientConnectivity ?? {};
+  const latency = Object.entries(conn.latency ?? {})
+    .sort(([, a], [, b]) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity))
+    .map(([region, l]) => [
+      region,
+      `${l.latencyMs != null ? `${l.latencyMs.toFixed(1)} ms` : "—"}${l.preferred ? " (preferred)" : ""}`,
+    ]);
+  addDrawerSection("Connectivity", [
+    ["Endpoints", conn.endpoints?.length ? conn.endpoints.join("\n") : "—"],
+    ["Varies by destination", conn.mappingVariesByDestIP == null ? "unknown" : (conn.mappingVariesByDestIP ? "Yes (hard NAT)" : "No")],
+    ...latency,
+  ]);
+}
+
+function addDrawerSection(title, rows, parent = deviceDrawerBody) {
+  const section = document.createElement("section");
+  section.className = "drawer-section";
+  const h3 = document.createElement("h3");
+  h3.textContent = title;
+  section.appendChild(h3);
+
+  const dl = document.createElement("dl");
+  for (const [label, value] of rows) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  }
+  if (!rows.length) {
+    const empty = document.createElement("p");
+    empty.className = "drawer-muted";
+    empty.textContent = "None";
+    section.appendChild(empty);
+  } else {
+    section.appendChild(dl);
+  }
+  parent.appendChild(section);
+}
+
+deviceDrawerClose.addEventListener("click", closeDeviceDrawer);
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !deviceDrawer.classList.contains("hidden")) closeDeviceDrawer();
+});
+
 // ─── Tab manager ─────────────────────────────────────────────────────────────
 
 /**
  * Create a new tab with a picker pane and activate it.
  * @param {object} ipn  — the live Tailscale IPN instance
+ * @param {{loadContent?: (pane:object) => void}} [opts]
+ *        loadContent fills the tab's first pane instead of the device picker
  * @returns the tab object
  */
-function createTab(ipn) {
+function createTab(ipn, { loadContent } = {}) {
   const id = ++tabIdSeq;
 
   // ── tab button ──
@@ -220,6 +1120,9 @@ function createTab(ipn) {
   tabEl.dataset.id = id;
   tabEl.draggable = true;
 
+  const stateDot = document.createElement("span");
+  stateDot.className = "tab-state";
+
   const labelSpan = document.createElement("span");
   labelSpan.className = "tab-label";
   labelSpan.textContent = "New tab";
@@ -229,6 +1132,7 @@ function createTab(ipn) {
   closeBtn.title = "Close tab";
   closeBtn.textContent = "✕";
 
+  tabEl.appendChild(stateDot);
   tabEl.appendChild(labelSpan);
   tabEl.appendChild(closeBtn);
 
@@ -236,7 +1140,11 @@ function createTab(ipn) {
     e.stopPropagation();
     closeTab(id);
   });
-  tabEl.addEventListener("click", () => activateTab(id));
+  tabEl.addEventListener("click", (e) => {
+    // Alt+click links or unlinks the tab's terminals for broadcast
+    if (e.altKey) { toggleTabLinked(tab); return; }
+    activateTab(id);
+  });
 
   // ── drag-and-drop reorder ──
   tabEl.addEventListener("dragstart", onDragStart);
@@ -247,17 +1155,24 @@ function createTab(ipn) {
 
   tabList.insertBefore(tabEl, newTabBtn);
 
-  // ── pane ──
+  // ── layout host ──
   const paneEl = document.createElement("div");
   paneEl.className = "pane";
   paneEl.dataset.id = id;
   paneHost.appendChild(paneEl);
 
-  const tab = { id, tabEl, paneEl, session: null, label: "New tab" };
+  const tab = { id, tabEl, paneEl, layout: null, focusedPane: null, label: "New tab", state: null };
   tabs.push(tab);
 
+  const pane = createPane(tab);
+  tab.layout = pane;
+  tab.focusedPane = pane;
+  renderLayout(tab);
+
   activateTab(id);
-  loadPicker(tab, ipn).catch(err => console.error("[loadPicker]", err));
+  if (loadContent) loadContent(pane);
+  else loadPicker(pane, ipn).catch(err => console.error("[loadPicker]", err));
+  scheduleWorkspaceSave();
 
   return tab;
 }
@@ -276,14 +1191,29 @@ function activateTab(id) {
   const tab = getTab(id);
   if (!tab) return;
   tab.tabEl.scrollIntoView({ block: "nearest", inline: "nearest" });
-  // If the tab has a live SSH session, focus the terminal so the user can
-  // type immediately without having to click into it first.
-  if (tab.session) {
-    // xterm.js renders a hidden textarea as its keyboard input target.
-    // Focusing it is equivalent to calling Terminal#focus().
-    const input = tab.paneEl.querySelector(".xterm-helper-textarea");
-    if (input) input.focus();
-  }
+  scheduleWorkspaceSave();
+  // If the focused pane has a live SSH session, focus the terminal so the
+  // user can type immediately without having to click into it first.
+  if (tab.focusedPane?.session) focusPaneInput(tab.focusedPane);
+}
+
+/** Activate the tab `delta` places from the active one, wrapping around. */
+function cycleTab(delta) {
+  if (!tabs.length) return;
+  const i = tabs.findIndex(t => t.id === activeTabId);
+  activateTab(tabs[(i + delta + tabs.length) % tabs.length].id);
+}
+
+/** Move a tab one place left (-1) or right (+1) in the tab bar. */
+function moveTab(id, delta) {
+  const i = tabs.findIndex(t => t.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= tabs.length) return;
+  const [tab] = tabs.splice(i, 1);
+  tabs.splice(j, 0, tab);
+  tabList.insertBefore(tab.tabEl, tabs[j + 1]?.tabEl ?? newTabBtn);
+  tab.tabEl.scrollIntoView({ block: "nearest", inline: "nearest" });
+  scheduleWorkspaceSave();
 }
 
 function setTabLabel(id, label) {
@@ -294,20 +1224,53 @@ function setTabLabel(id, label) {
   if (labelEl) labelEl.textContent = label;
 }
 
+const TAB_STATE_TITLES = {
+  connecting:   "Connecting…",
+  connected:    "Connected",
+  reconnecting: "Reconnecting…",
+  ended:        "Session ended",
+};
+
+/**
+ * Show a session state dot on the tab button.
+ * @param {"connecting"|"connected"|"reconnecting"|"ended"|null} state
+ *        null for tabs without a session (picker, replay)
+ */
+function setTabState(tab, state) {
+  tab.state = state;
+  const dot = tab.tabEl.querySelector(".tab-state");
+  if (!dot) return;
+  dot.className = state ? `tab-state state-${state}` : "tab-state";
+  dot.title = TAB_STATE_TITLES[state] ?? "";
+}
+
+/**
+ * Mirror the focused pane's label and state on the tab button.  A split tab
+ * shows how many other panes it holds, e.g. "root@web-1 +2".
+ */
+function syncTab(tab) {
+  const pane = tab.focusedPane;
+  if (!pane) return;
+  const others = allPanes(tab.layout).length - 1;
+  setTabLabel(tab.id, others ? `${pane.label} +${others}` : pane.label);
+  setTabState(tab, pane.state);
+}
+
 function closeTab(id) {
   const tab = getTab(id);
   if (!tab) return;
 
-  // Gracefully close SSH session if one is open
-  if (tab.session) {
-    try { tab.session.close(); } catch {}
-    tab.session = null;
+  // Gracefully close SSH sessions (and anything else the panes run)
+  for (const pane of allPanes(tab.layout)) {
+    setPaneLinked(pane, false);
+    disposePaneContent(pane);
   }
 
   tab.tabEl.remove();
   tab.paneEl.remove();
   const idx = tabs.findIndex(t => t.id === id);
   tabs.splice(idx, 1);
+  scheduleWorkspaceSave();
 
   if (tabs.length === 0) {
     // Last tab closed — open a fresh one automatically so the UI is never blank
@@ -329,9 +1292,9 @@ function closeTab(id) {
  */
 function clearAllTabs() {
   for (const tab of [...tabs]) {
-    if (tab.session) {
-      try { tab.session.close(); } catch {}
-      tab.session = null;
+    for (const pane of allPanes(tab.layout)) {
+      setPaneLinked(pane, false);
+      disposePaneContent(pane, "Tailscale node stopped or logged out");
     }
     tab.tabEl.remove();
     tab.paneEl.remove();
@@ -339,22 +1302,392 @@ function clearAllTabs() {
   tabs.length = 0;
   activeTabId = null;
   // Stale device data shouldn't survive a logout/reconnect cycle
-  forceRefreshDevices();
+  clearDeviceCache();
+  closeDeviceDrawer();
 }
 
-// ─── Drag-and-drop reorder ───────────────────────────────────────────────────
+// ─── Split panes ──────────────────────────────────────────────────────────────
+// A tab's layout is a tree.  Leaves are panes:
+//   { type: "pane", id, tab, el, session, label, state, recording, player, endedScreen, batch, target }
+// and inner nodes are splits:
+//   { type: "split", dir: "row"|"column", children, sizes }
+// "row" places children side by side, "column" stacks them; `sizes` are
+// relative flex weights.  `target` is what the pane's SSH session connects to
+// (kept while the session has ended, for reconnecting and workspace restore).
+// A split always has at least two children: closing a pane collapses a split
+// left with one child into its parent.
 
-let dragSrcId = null;
+let paneIdSeq = 0;
 
-function onDragStart(e) {
-  dragSrcId = Number(e.currentTarget.dataset.id);
-  e.dataTransfer.effectAllowed = "move";
-  // Use a tiny delay so the drag image renders before we style the element
-  requestAnimationFrame(() => e.currentTarget.style.opacity = "0.4");
+// Smallest share of a split a divider drag may leave to either neighbour
+const SPLIT_MIN_FRACTION = 0.08;
+
+function createPane(tab) {
+  const el = document.createElement("div");
+  el.className = "split-pane";
+  const id = ++paneIdSeq;
+  el.dataset.paneId = id;
+  const pane = {
+    type: "pane", id, tab, el,
+    session: null, label: "New tab", state: null,
+    recording: null, player: null, endedScreen: null, batch: null,
+    target: null,
+  };
+  // Capture phase: xterm stops some events from bubbling
+  el.addEventListener("pointerdown", () => setFocusedPane(pane), true);
+  el.addEventListener("focusin", () => setFocusedPane(pane));
+  return pane;
 }
 
-function onDragOver(e) {
-  e.preventDefault();
+/** True for a pane that only shows the device picker. */
+function isIdlePane(pane) {
+  return !pane.session && !pane.target && !pane.player && !pane.endedScreen && !pane.batch;
+}
+
+/** True for a tab holding nothing but one device picker. */
+function isIdleTab(tab) {
+  return tab.layout.type === "pane" && isIdlePane(tab.layout);
+}
+
+/** Every pane under `node`, in layout order. */
+function allPanes(node) {
+  return node.type === "pane" ? [node] : node.children.flatMap(allPanes);
+}
+
+/** The split directly containing `node`, or null for the layout root. */
+function findParent(root, node) {
+  if (root.type === "pane") return null;
+  for (const child of root.children) {
+    if (child === node) return root;
+    const found = findParent(child, node);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Put `next` where `node` is in the tab's layout tree. */
+function replaceNode(tab, node, next) {
+  const parent = findParent(tab.layout, node);
+  if (!parent) { tab.layout = next; return; }
+  const i = parent.children.indexOf(node);
+  if (next.type === "split" && next.dir === parent.dir) {
+    // Same direction as the parent: splice the children in instead of
+    // nesting, scaling their weights to the share `node` had.
+    const total = next.sizes.reduce((a, b) => a + b, 0);
+    parent.children.splice(i, 1, ...next.children);
+    parent.sizes.splice(i, 1, ...next.sizes.map(w => (w / total) * parent.sizes[i]));
+  } else {
+    parent.children[i] = next;
+  }
+}
+
+function setPaneLabel(pane, label) {
+  pane.label = label;
+  pane.el.querySelector(".toolbar-label")?.replaceChildren(label);
+  if (pane.tab.focusedPane === pane) syncTab(pane.tab);
+}
+
+/** @param {"connecting"|"connected"|"reconnecting"|"ended"|null} state */
+function setPaneState(pane, state) {
+  pane.state = state;
+  if (pane.tab.focusedPane === pane) syncTab(pane.tab);
+}
+
+function setFocusedPane(pane, { focusInput = false } = {}) {
+  const tab = pane.tab;
+  if (tab.focusedPane !== pane) {
+    tab.focusedPane = pane;
+    for (const p of allPanes(tab.layout)) p.el.classList.toggle("focused", p === pane);
+    syncTab(tab);
+  }
+  if (focusInput) focusPaneInput(pane);
+}
+
+function focusPaneInput(pane) {
+  // xterm.js renders a hidden textarea as its keyboard input target.
+  // Focusing it is equivalent to calling Terminal#focus().
+  const input = pane.el.querySelector(".xterm-helper-textarea");
+  if (input) input.focus();
+}
+
+/**
+ * Tear down whatever the pane is running — live SSH session, replay player,
+ * batch run, or ended-session screen with its reconnect timers — before it
+ * is reused or removed.
+ * @param {string} [reason] — audit log reason for closing a live session
+ */
+function disposePaneContent(pane, reason) {
+  if (pane.session) {
+    try { pane.session.close(reason); } catch {}
+    pane.session = null;
+  }
+  pane.player?.dispose();
+  pane.player = null;
+  pane.endedScreen?.dispose();
+  pane.endedScreen = null;
+  pane.batch?.dispose();
+  pane.batch = null;
+}
+
+/**
+ * Split `pane` in two and open a device picker in the new half.
+ * @param {"row"|"column"} dir  — "row": new pane to the right; "column": below
+ */
+function splitPane(pane, dir, ipn) {
+  const tab = pane.tab;
+  const fresh = createPane(tab);
+  const parent = findParent(tab.layout, pane);
+  if (parent && parent.dir === dir) {
+    // Share the pane's slot with the new pane rather than nesting a split
+    const i = parent.children.indexOf(pane);
+    const half = parent.sizes[i] / 2;
+    parent.children.splice(i + 1, 0, fresh);
+    parent.sizes.splice(i, 1, half, half);
+  } else {
+    replaceNode(tab, pane, { type: "split", dir, children: [pane, fresh], sizes: [1, 1] });
+  }
+  renderLayout(tab);
+  setFocusedPane(fresh);
+  loadPicker(fresh, ipn).catch(err => console.error("[loadPicker]", err));
+}
+
+/** Close one pane; closing a tab's only pane closes the tab. */
+function closePane(pane) {
+  const tab = pane.tab;
+  const parent = findParent(tab.layout, pane);
+  if (!parent) { closeTab(tab.id); return; }
+
+  setPaneLinked(pane, false);
+  disposePaneContent(pane);
+  const i = parent.children.indexOf(pane);
+  parent.children.splice(i, 1);
+  parent.sizes.splice(i, 1);
+  // Focus what took the closed pane's place
+  const neighbour = allPanes(parent.children[Math.min(i, parent.children.length - 1)])[0];
+  if (parent.children.length === 1) replaceNode(tab, parent, parent.children[0]);
+
+  renderLayout(tab);
+  setFocusedPane(neighbour, { focusInput: tab.id === activeTabId });
+}
+
+/** Rebuild the tab's DOM from its layout tree, reusing the pane elements. */
+function renderLayout(tab) {
+  const buildEl = (node) => {
+    if (node.type === "pane") return node.el;
+    const el = document.createElement("div");
+    el.className = `split split-${node.dir}`;
+    node.children.forEach((child, i) => {
+      if (i > 0) el.appendChild(buildDivider(node, i));
+      const childEl = buildEl(child);
+      childEl.style.flex = `${node.sizes[i]} 1 0`;
+      el.appendChild(childEl);
+    });
+    return el;
+  };
+
+  const root = buildEl(tab.layout);
+  root.style.flex = "1 1 0";
+  tab.paneEl.replaceChildren(root);
+  const split = tab.layout.type === "split";
+  tab.paneEl.classList.toggle("is-split", split);
+  for (const p of allPanes(tab.layout)) p.el.classList.toggle("focused", split && p === tab.focusedPane);
+  syncTab(tab);
+  refitTerminals();
+  scheduleWorkspaceSave();
+}
+
+/**
+ * Terminals size themselves to their container on window resize; nudge them
+ * after the layout changes so their rows/cols follow the new pane sizes.
+ */
+let refitPending = false;
+function refitTerminals() {
+  if (refitPending) return;
+  refitPending = true;
+  requestAnimationFrame(() => {
+    refitPending = false;
+    window.dispatchEvent(new Event("resize"));
+  });
+}
+
+/**
+ * Draggable divider between children i-1 and i of a split.  Dragging moves
+ * weight between those two neighbours only.
+ */
+function buildDivider(split, i) {
+  const divider = document.createElement("div");
+  divider.className = `split-divider split-divider-${split.dir}`;
+
+  divider.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    divider.setPointerCapture(e.pointerId);
+    const horizontal = split.dir === "row";
+    const prevEl = divider.previousElementSibling;
+    const nextEl = divider.nextElementSibling;
+    const start = horizontal ? e.clientX : e.clientY;
+    const prevPx = horizontal ? prevEl.offsetWidth : prevEl.offsetHeight;
+    const nextPx = horizontal ? nextEl.offsetWidth : nextEl.offsetHeight;
+    const pairWeight = split.sizes[i - 1] + split.sizes[i];
+    divider.classList.add("dragging");
+
+    const onMove = (ev) => {
+      const delta = (horizontal ? ev.clientX : ev.clientY) - start;
+      const frac = Math.min(Math.max((prevPx + delta) / (prevPx + nextPx), SPLIT_MIN_FRACTION), 1 - SPLIT_MIN_FRACTION);
+      split.sizes[i - 1] = pairWeight * frac;
+      split.sizes[i]     = pairWeight * (1 - frac);
+      prevEl.style.flex = `${split.sizes[i - 1]} 1 0`;
+      nextEl.style.flex = `${split.sizes[i]} 1 0`;
+      refitTerminals();
+    };
+    const onUp = () => {
+      divider.classList.remove("dragging");
+      scheduleWorkspaceSave();
+      divider.removeEventListener("pointermove", onMove);
+      divider.removeEventListener("pointerup", onUp);
+      divider.removeEventListener("pointercancel", onUp);
+    };
+    divider.addEventListener("pointermove", onMove);
+    divider.addEventListener("pointerup", onUp);
+    divider.addEventListener("pointercancel", onUp);
+  });
+
+  return divider;
+}
+
+/**
+ * Move focus to the nearest pane in a direction, judged by on-screen
+ * position: the candidate must lie beyond the focused pane's edge and overlap
+ * it on the other axis.
+ * @param {"left"|"right"|"up"|"down"} dir
+ */
+function focusPaneInDirection(tab, dir) {
+  const from = tab.focusedPane.el.getBoundingClientRect();
+  let best = null;
+  let bestDist = Infinity;
+  for (const pane of allPanes(tab.layout)) {
+    if (pane === tab.focusedPane) continue;
+    const r = pane.el.getBoundingClientRect();
+    const overlapsX = r.left < from.right && r.right > from.left;
+    const overlapsY = r.top < from.bottom && r.bottom > from.top;
+    let dist;
+    switch (dir) {
+      case "left":  dist = overlapsY && r.right  <= from.left + 1  ? from.left - r.right  : Infinity; break;
+      case "right": dist = overlapsY && r.left   >= from.right - 1 ? r.left - from.right  : Infinity; break;
+      case "up":    dist = overlapsX && r.bottom <= from.top + 1   ? from.top - r.bottom  : Infinity; break;
+      case "down":  dist = overlapsX && r.top    >= from.bottom - 1 ? r.top - from.bottom : Infinity; break;
+    }
+    if (dist < bestDist) { bestDist = dist; best = pane; }
+  }
+  if (best) setFocusedPane(best, { focusInput: true });
+}
+
+/**
+ * Split / close buttons shared by the picker header and the session toolbar.
+ * The close button only shows while the tab is split (see style.css).
+ */
+function buildSplitControls(pane, ipn) {
+  const wrap = document.createElement("span");
+  wrap.className = "split-controls";
+  const mk = (text, title, onClick, extra = "") => {
+    const b = document.createElement("button");
+    b.className = `toolbar-btn ${extra}`.trim();
+    b.textContent = text;
+    b.title = title;
+    b.addEventListener("click", onClick);
+    wrap.appendChild(b);
+  };
+  mk("◫", `Split right${shortcutHint("splitRight")}`, () => splitPane(pane, "row", ipn));
+  mk("⊟", `Split down${shortcutHint("splitDown")}`, () => splitPane(pane, "column", ipn));
+  mk("✕", `Close pane${shortcutHint("closePane")}`, () => closePane(pane), "split-close");
+  return wrap;
+}
+
+// ─── Broadcast input ──────────────────────────────────────────────────────────
+// Terminals can be linked into one broadcast group.  While mirroring is on,
+// keystrokes typed into a linked terminal are sent to every other linked
+// session as well.  Linking survives reconnects; a pane leaves the group when
+// it is closed or goes back to the device picker.
+
+/** @type {Set<object>} linked panes */
+const broadcastPanes = new Set();
+let broadcastOn = true;
+
+/** Forward input typed into `from` to the rest of the group. */
+function broadcastInput(from, data) {
+  if (!broadcastOn || !broadcastPanes.has(from)) return;
+  for (const pane of broadcastPanes) {
+    if (pane !== from) pane.session?.send(data);
+  }
+}
+
+function setPaneLinked(pane, linked) {
+  if (linked === broadcastPanes.has(pane)) return;
+  if (linked) broadcastPanes.add(pane);
+  else broadcastPanes.delete(pane);
+  renderBroadcast();
+}
+
+/** Link every session pane of the tab, or unlink them all if all are linked. */
+function toggleTabLinked(tab) {
+  const panes = allPanes(tab.layout).filter(p => p.session || p.endedScreen);
+  const link = !panes.every(p => broadcastPanes.has(p));
+  for (const pane of panes) setPaneLinked(pane, link);
+}
+
+function setBroadcastOn(on) {
+  broadcastOn = on;
+  renderBroadcast();
+}
+
+/**
+ * Mark linked panes, the tabs holding them and their toolbar buttons, and
+ * show the header switch while the group has members.
+ */
+function renderBroadcast() {
+  for (const tab of tabs) {
+    let any = false;
+    for (const pane of allPanes(tab.layout)) {
+      const linked = broadcastPanes.has(pane);
+      any ||= linked;
+      pane.el.classList.toggle("broadcast-linked", linked);
+      const btn = pane.el.querySelector(".toolbar-link");
+      if (btn) {
+        btn.classList.toggle("linked", linked);
+        btn.title = `${linked ? "Unlink from" : "Link to"} broadcast${shortcutHint("linkPane")}`;
+      }
+    }
+    tab.tabEl.classList.toggle("broadcast-linked", any);
+  }
+  document.body.classList.toggle("broadcast-paused", !broadcastOn);
+
+  const n = broadcastPanes.size;
+  broadcastControls.hidden = n === 0;
+  broadcastBtn.classList.toggle("broadcast-on", broadcastOn);
+  broadcastBtn.textContent = `⇶ Broadcast ${broadcastOn ? "on" : "off"} · ${n}`;
+  broadcastBtn.title = broadcastOn
+    ? `Typing in a linked terminal goes to all ${n}. Click to pause${shortcutHint("toggleBroadcast")}`
+    : `Mirroring paused. Click to resume${shortcutHint("toggleBroadcast")}`;
+}
+
+broadcastBtn.addEventListener("click", () => setBroadcastOn(!broadcastOn));
+broadcastClearBtn.addEventListener("click", () => {
+  broadcastPanes.clear();
+  renderBroadcast();
+});
+
+// ─── Drag-and-drop reorder ───────────────────────────────────────────────────
+
+let dragSrcId = null;
+
+function onDragStart(e) {
+  dragSrcId = Number(e.currentTarget.dataset.id);
+  e.dataTransfer.effectAllowed = "move";
+  // Use a tiny delay so the drag image renders before we style the element
+  requestAnimationFrame(() => e.currentTarget.style.opacity = "0.4");
+}
+
+function onDragOver(e) {
+  e.preventDefault();
   e.dataTransfer.dropEffect = "move";
   e.currentTarget.classList.add("drag-over");
 }
@@ -373,17 +1706,18 @@ function onDrop(e) {
   const dstIdx = tabs.findIndex(t => t.id === targetId);
   if (srcIdx === -1 || dstIdx === -1) return;
 
-  // Capture the destination tab's DOM element BEFORE mutating the array.
+  // Capture the destination tab BEFORE mutating the array.
   // After splice the indices shift, so reading tabs[dstIdx] afterwards gives
   // the wrong element for left-to-right drags (off-by-one bug).
-  const dstTabEl = tabs[dstIdx].tabEl;
+  const dstTab = tabs[dstIdx];
 
-  // Reorder in the array
+  // Reorder in the array to match the DOM: srcTab lands just before dstTab
   const [srcTab] = tabs.splice(srcIdx, 1);
-  tabs.splice(dstIdx, 0, srcTab);
+  tabs.splice(tabs.indexOf(dstTab), 0, srcTab);
 
   // Reorder in the DOM — insert srcTab before the original destination element
-  tabList.insertBefore(srcTab.tabEl, dstTabEl);
+  tabList.insertBefore(srcTab.tabEl, dstTab.tabEl);
+  scheduleWorkspaceSave();
 }
 
 function onDragEnd(e) {
@@ -394,10 +1728,103 @@ function onDragEnd(e) {
 
 // ─── Picker ──────────────────────────────────────────────────────────────────
 
-async function loadPicker(tab, ipn) {
-  setTabLabel(tab.id, "New tab");
+// ── Search ──
+// The search box takes free text and field qualifiers, any of them negated
+// with a leading "-":
+//   os:linux  tag:prod  online:yes  ssh:no  ip:100.64.  name:web
+// Each free-text word is fuzzy-matched against the device name on its own,
+// so "jkt mvn" finds "jkt02-mvn-1"; a word that misses the name may still
+// appear in the hostname, OS, addresses or tags.  Free text ranks the
+// results by match quality, otherwise the usual order is kept.
+
+const PICKER_FIELDS = new Set(["os", "tag", "online", "ssh", "ip", "name"]);
+
+/** @returns {Array<{field:string|null, value:string, negate:boolean}>} */
+function parsePickerQuery(query) {
+  const terms = [];
+  for (const token of query.match(/(?:[^\s"]+|"[^"]*"?)+/g) ?? []) {
+    const negate = token.length > 1 && token.startsWith("-");
+    const body = negate ? token.slice(1) : token;
+    const m = body.match(/^([a-z]+):(.*)$/i);
+    const field = m && PICKER_FIELDS.has(m[1].toLowerCase()) ? m[1].toLowerCase() : null;
+    const value = (field ? m[2] : body).replace(/"/g, "").trim().toLowerCase();
+    // A qualifier still being typed ("os:") doesn't filter yet
+    if (value) terms.push({ field, value, negate });
+  }
+  return terms;
+}
+
+function parseYesNo(value) {
+  if (["yes", "y", "true", "1", "on"].includes(value)) return true;
+  if (["no", "n", "false", "0", "off"].includes(value)) return false;
+  return null;
+}
+
+/** Whether a qualifier matches, or null when its value means nothing. */
+function matchPickerField(device, field, value) {
+  switch (field) {
+    case "os":
+      return (device.os ?? "").toLowerCase().includes(value);
+    case "tag": {
+      const want = value.replace(/^tag:/, "");
+      return (device.tags ?? []).some(t => t.toLowerCase().replace(/^tag:/, "").startsWith(want));
+    }
+    case "online": {
+      const want = parseYesNo(value);
+      return want === null ? null : !!device.online === want;
+    }
+    case "ssh": {
+      const want = parseYesNo(value);
+      return want === null ? null : !!device.sshEnabled === want;
+    }
+    case "ip":
+      return (device.addresses ?? []).some(a => a.toLowerCase().startsWith(value));
+    case "name":
+      return [device.displayName, device.hostname, device.name]
+        .some(n => (n ?? "").toLowerCase().includes(value));
+  }
+  return null;
+}
+
+/**
+ * Match one device against parsed terms.  Returns null if it is filtered
+ * out, else { score, indices } with the matched positions in `name`.
+ */
+function scorePickerDevice(device, name, terms) {
+  const rest = [device.hostname, device.os, ...(device.addresses ?? []), ...(device.tags ?? [])]
+    .join(" ").toLowerCase();
+  let score = 0;
+  const indices = [];
+  for (const { field, value, negate } of terms) {
+    let hit;
+    if (field) {
+      hit = matchPickerField(device, field, value);
+      if (hit === null) continue;
+    } else if (negate) {
+      hit = name.toLowerCase().includes(value) || rest.includes(value);
+    } else {
+      const m = fuzzyMatch(value, name);
+      if (m) {
+        score += m.score;
+        indices.push(...m.indices);
+        continue;
+      }
+      hit = rest.includes(value);
+      if (hit) score += 50;
+    }
+    if (hit === negate) return null;
+  }
+  return { score, indices };
+}
 
-  const pane = tab.paneEl;
+async function loadPicker(pane, ipn) {
+  setPaneLabel(pane, "New tab");
+  setPaneState(pane, null);
+  setPaneLinked(pane, false);
+  if (pane.target) {
+    pane.target = null;
+    scheduleWorkspaceSave();
+  }
 
   // Build picker DOM imperatively to avoid any innerHTML injection risk
   const picker = document.createElement("div");
@@ -422,12 +1849,59 @@ async function loadPicker(tab, ipn) {
   refreshBtn.textContent = "↻ Refresh";
   refreshBtn.addEventListener("click", () => {
     forceRefreshDevices();
-    loadPicker(tab, ipn).catch(err => console.error("[loadPicker]", err));
+    loadPicker(pane, ipn).catch(err => console.error("[loadPicker]", err));
   });
 
   pickerHeader.appendChild(headerText);
+
+  if (tailnets.length > 1) {
+    const tailnetSelect = document.createElement("select");
+    tailnetSelect.className = "picker-tailnet-select";
+    tailnetSelect.title = "Switch tailnet";
+    for (const t of tailnets) {
+      const opt = document.createElement("option");
+      opt.value = t.name;
+      opt.textContent = t.label;
+      opt.selected = t.name === currentTailnet;
+      tailnetSelect.appendChild(opt);
+    }
+    tailnetSelect.addEventListener("change", () => {
+      if (!switchTailnet(tailnetSelect.value)) tailnetSelect.value = currentTailnet;
+    });
+    pickerHeader.appendChild(tailnetSelect);
+  }
+
   pickerHeader.appendChild(refreshBtn);
 
+  const replayBtn = document.createElement("button");
+  replayBtn.className = "picker-refresh-btn";
+  replayBtn.title = "Replay an asciicast (.cast) recording";
+  replayBtn.textContent = "▶ Open recording";
+  replayBtn.addEventListener("click", () => pickCastFile(ipn));
+  pickerHeader.insertBefore(replayBtn, refreshBtn);
+  pickerHeader.appendChild(buildSplitControls(pane, ipn));
+
+  // The last session in this pane was recorded: keep it reachable from here
+  let recordingBar = null;
+  if (pane.recording) {
+    const rec = pane.recording;
+    recordingBar = document.createElement("div");
+    recordingBar.className = "picker-recording";
+    const text = document.createElement("span");
+    text.textContent = `Recording of ${rec.title} (${formatDuration(rec.duration)})`;
+    const dl = document.createElement("button");
+    dl.className = "picker-refresh-btn";
+    dl.textContent = "⬇ Download";
+    dl.addEventListener("click", () => downloadRecording(rec));
+    const play = document.createElement("button");
+    play.className = "picker-refresh-btn";
+    play.textContent = "▶ Replay";
+    play.addEventListener("click", () => openReplayTab(ipn, rec));
+    recordingBar.appendChild(text);
+    recordingBar.appendChild(dl);
+    recordingBar.appendChild(play);
+  }
+
   const searchWrap = document.createElement("div");
   searchWrap.className = "picker-search-wrap";
   const searchIcon = document.createElement("span");
@@ -436,29 +1910,52 @@ async function loadPicker(tab, ipn) {
   const searchInput = document.createElement("input");
   searchInput.className = "picker-search";
   searchInput.type = "search";
-  searchInput.placeholder = "Filter by name, OS, or IP…";
+  searchInput.placeholder = "Search, e.g. web os:linux tag:prod -online:no";
+  searchInput.title =
+    "Fuzzy search by name. Qualifiers: os:, tag:, online:yes|no, ssh:yes|no, ip:, name: — " +
+    "prefix any term with - to exclude. ↑↓ to move, Enter to connect.";
   searchInput.autocomplete = "off";
   searchInput.spellcheck = false;
   searchWrap.appendChild(searchIcon);
   searchWrap.appendChild(searchInput);
 
+  const view = loadPickerView();
+  const groupSelect = document.createElement("select");
+  groupSelect.className = "picker-tailnet-select picker-group-select";
+  groupSelect.title = "Group devices";
+  for (const [value, label] of Object.entries(PICKER_GROUPINGS)) {
+    groupSelect.appendChild(new Option(label, value));
+  }
+  groupSelect.value = view.groupBy;
+
+  const searchRow = document.createElement("div");
+  searchRow.className = "picker-search-row";
+  searchRow.append(searchWrap, groupSelect);
+
+  // Devices ticked for a batch command, by id
+  const selected = new Map();
+  const batch = buildBatchBar(selected, ipn);
+
   const grid = document.createElement("div");
   grid.className = "device-grid";
   const loadingMsg = document.createElement("p");
   loadingMsg.style.cssText = "color:var(--muted);font-size:13px";
-  loadingMsg.textContent = deviceCache ? "Loading devices…" : "Fetching devices…";
+  loadingMsg.textContent = deviceCache.has(currentTailnet ?? "") ? "Loading devices…" : "Fetching devices…";
   grid.appendChild(loadingMsg);
 
   const errorEl = document.createElement("div");
   errorEl.className = "picker-error";
 
   picker.appendChild(pickerHeader);
-  picker.appendChild(searchWrap);
+  picker.appendChild(buildProfilesBar(pane, ipn));
+  if (recordingBar) picker.appendChild(recordingBar);
+  picker.appendChild(searchRow);
+  picker.appendChild(batch.el);
   picker.appendChild(grid);
   picker.appendChild(errorEl);
 
-  pane.innerHTML = "";
-  pane.appendChild(picker);
+  pane.el.innerHTML = "";
+  pane.el.appendChild(picker);
 
   let devices;
   try {
@@ -479,30 +1976,103 @@ async function loadPicker(tab, ipn) {
     return;
   }
 
-  // Sort: SSH-enabled first, then online, then alphabetically
-  devices.sort((a, b) => {
-    if (a.sshEnabled !== b.sshEnabled) return a.sshEnabled ? -1 : 1;
-    if (a.online     !== b.online)     return a.online     ? -1 : 1;
-    return (a.displayName || a.name || "").localeCompare(b.displayName || b.name || "");
-  });
 
   // Build all cards once; show/hide based on search query
-  const cards = devices.map(d => ({ device: d, el: buildCard(d, tab, ipn) }));
+  const selection = {
+    has: (id) => selected.has(id),
+    toggle(target, on) {
+      if (on) selected.set(target.device.id, target);
+      else    selected.delete(target.device.id);
+      batch.render();
+    },
+  };
+  const favorites = {
+    has: (id) => loadFavorites().has(id),
+    toggle(id) {
+      const on = toggleFavorite(id);
+      renderCards(searchInput.value);
+      return on;
+    },
+  };
+  // Cards show the API record (`raw`) with the netmap's live state folded in
+  const sortLive = (list) => list
+    .map(raw => ({ raw, live: liveDevice(raw) }))
+    .sort((a, b) => compareDevices(a.live, b.live));
+  const makeCard = (raw, d, order) => {
+    const el = buildCard(d, pane, ipn, selection, favorites);
+    return { raw, device: d, el, order, name: deviceTarget(d).displayName, nameEl: el.querySelector(".device-name") };
+  };
+  let cards = sortLive(devices).map(({ raw, live }, order) => makeCard(raw, live, order));
+
+  // Cards currently shown, in display order, and the one picked with the arrow keys
+  let visible = [];
+  let active = -1;
+
+  const setActive = (i) => {
+    visible[active]?.el.classList.remove("active");
+    active = i;
+    const card = visible[active];
+    if (!card) return;
+    card.el.classList.add("active");
+    card.el.scrollIntoView({ block: "nearest" });
+  };
 
   const renderCards = (query) => {
-    const q = query.trim().toLowerCase();
+    const terms = parsePickerQuery(query);
+    const ranked = terms.some(t => !t.field && !t.negate);
     grid.innerHTML = "";
-    let shown = 0;
-    for (const { device: d, el } of cards) {
-      const haystack = [
-        d.displayName, d.hostname, d.os, ...(d.addresses ?? [])
-      ].join(" ").toLowerCase();
-      if (!q || haystack.includes(q)) {
-        grid.appendChild(el);
-        shown++;
+    visible[active]?.el.classList.remove("active");
+    const matched = [];
+    for (const card of cards) {
+      const match = scorePickerDevice(card.device, card.name, terms);
+      renderHighlighted(card.nameEl, card.name, match?.indices);
+      if (match) matched.push({ ...card, score: match.score });
+    }
+
+    if (ranked) {
+      // Best matches first, regardless of favorites and groups
+      visible = matched.sort((a, b) => b.score - a.score || a.order - b.order);
+      for (const { el } of visible) grid.appendChild(el);
+    } else {
+      visible = [];
+      const starred = loadFavorites();
+      const sections = [];
+      const favs = matched.filter(c => starred.has(c.device.id));
+      if (favs.length) sections.push({ key: "favorites", label: "★ Favorites", cards: favs });
+      const groups = new Map();
+      for (const card of matched) {
+        if (starred.has(card.device.id)) continue;
+        const key = pickerGroupKey(card.device, view.groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(card);
+      }
+      for (const key of [...groups.keys()].sort((a, b) => comparePickerGroups(view.groupBy, a, b))) {
+        sections.push({ key: `${view.groupBy}:${key}`, label: key || "Other devices", cards: groups.get(key) });
+      }
+
+      const headed = sections.length > 1 || view.groupBy !== "none";
+      for (const section of sections) {
+        const collapsed = headed && view.collapsed.includes(section.key);
+        if (headed) {
+          grid.appendChild(buildGroupHeader(section.label, section.cards.length, collapsed, () => {
+            view.collapsed = collapsed
+              ? view.collapsed.filter(k => k !== section.key)
+              : [...view.collapsed, section.key];
+            savePickerView(view);
+            renderCards(searchInput.value);
+          }));
+        }
+        if (collapsed) continue;
+        for (const card of section.cards) {
+          grid.appendChild(card.el);
+          visible.push(card);
+        }
       }
     }
-    if (shown === 0) {
+
+    active = -1;
+    if (terms.length && visible.length) setActive(0);
+    if (matched.length === 0) {
       const msg = document.createElement("p");
       msg.className = "picker-no-results";
       msg.textContent = `No devices match "${query}".`;
@@ -510,24 +2080,87 @@ async function loadPicker(tab, ipn) {
     }
   };
 
+  picker.insertBefore(buildRecentsBar(pane, ipn, devices), searchRow);
   renderCards("");
   searchInput.addEventListener("input", () => renderCards(searchInput.value));
+  groupSelect.addEventListener("change", () => {
+    view.groupBy = groupSelect.value;
+    savePickerView(view);
+    renderCards(searchInput.value);
+  });
+
+  // Follow the netmap: rebuild the cards whose live status changed, and
+  // take in the refreshed list when devices joined or left the tailnet
+  const unsubscribe = onNetmapChange((fresh) => {
+    if (!picker.isConnected) { unsubscribe(); return; }
+    const old = new Map(cards.map(c => [c.device.id, c]));
+    const next = sortLive(fresh ?? cards.map(c => c.raw)).map(({ raw, live }, order) => {
+      const card = old.get(live.id);
+      return card && !fresh && liveStatusKey(card.device) === liveStatusKey(live)
+        ? { ...card, order }
+        : makeCard(raw, live, order);
+    });
+    if (!fresh && next.every((c, i) => c.el === cards[i].el)) return;
+    cards = next;
+
+    const byId = new Map(cards.map(c => [c.device.id, c.device]));
+    for (const id of [...selected.keys()]) {
+      if (!byId.has(id) || !canConnectTo(byId.get(id))) selected.delete(id);
+    }
+    batch.render();
+    renderCards(searchInput.value);
+  });
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" && visible.length)    setActive(Math.min(active + 1, visible.length - 1));
+    else if (e.key === "ArrowUp" && visible.length) setActive(Math.max(active - 1, 0));
+    else if (e.key === "Enter") {
+      const btn = visible[Math.max(active, 0)]?.el.querySelector(".connect-btn");
+      if (btn && !btn.disabled) btn.click();
+    } else return;
+    e.preventDefault();
+  });
   // Auto-focus the search bar (convenience for power users)
   searchInput.focus();
 }
 
+/** Collapsible section heading spanning the device grid. */
+function buildGroupHeader(label, count, collapsed, onToggle) {
+  const header = document.createElement("button");
+  header.className = "device-group-header";
+  header.setAttribute("aria-expanded", String(!collapsed));
+  header.textContent = `${collapsed ? "▸" : "▾"} ${label}`;
+  const countEl = document.createElement("span");
+  countEl.className = "device-group-count";
+  countEl.textContent = String(count);
+  header.appendChild(countEl);
+  header.addEventListener("click", onToggle);
+  return header;
+}
+
+/** Picker order: SSH-enabled first, then online, then alphabetically. */
+function compareDevices(a, b) {
+  if (a.sshEnabled !== b.sshEnabled) return a.sshEnabled ? -1 : 1;
+  if (a.online     !== b.online)     return a.online     ? -1 : 1;
+  return (a.displayName || a.name || "").localeCompare(b.displayName || b.name || "");
+}
+
 /**
  * Build a device card DOM node without using innerHTML for dynamic content,
  * eliminating XSS risk from device names/OS/IP fields.
+ * @param {{has:(id:string)=>boolean, toggle:(target:object, on:boolean)=>void}} [selection]
+ *        batch selection; adds a checkbox to cards that can be connected to
+ * @param {{has:(id:string)=>boolean, toggle:(id:string)=>boolean}} [favorites]
+ *        adds a star button pinning the device to the top of the picker
  */
-function buildCard(device, tab, ipn) {
+function buildCard(device, pane, ipn, selection, favorites) {
   const addrs      = device.addresses ?? [];
   const ipv4       = addrs.find(a => !a.includes(":")) ?? device.name ?? "";
   const ipv6       = addrs.find(a =>  a.includes(":")) ?? null;
-  const addr       = ipv4;  // connect over IPv4
-  const displayName = device.displayName || (device.name ? device.name.split(".")[0] : "unknown");
-  const canConnect  = device.online && device.sshEnabled;
-  const disabledReason = !device.online
+  const { addr, displayName } = deviceTarget(device);
+  const canConnect  = canConnectTo(device);
+  const disabledReason = device.reachable === false
+    ? "Not in this browser's network map — an ACL may block access to it"
+    : !device.online
     ? "Device is offline"
     : !device.sshEnabled
     ? "Tailscale SSH not enabled on this device"
@@ -554,9 +2187,43 @@ function buildCard(device, tab, ipn) {
   infoEl.appendChild(nameEl);
   infoEl.appendChild(osEl);
 
+  const infoBtn = document.createElement("button");
+  infoBtn.className = "device-info-btn";
+  infoBtn.title = "Device details";
+  infoBtn.textContent = "ⓘ";
+  infoBtn.addEventListener("click", () => openDeviceDrawer(device));
+
   cardHeader.appendChild(iconEl);
   cardHeader.appendChild(infoEl);
 
+  if (favorites) {
+    const starBtn = document.createElement("button");
+    starBtn.className = "device-info-btn device-fav-btn";
+    const show = (on) => {
+      starBtn.textContent = on ? "★" : "☆";
+      starBtn.title = on ? "Remove from favorites" : "Add to favorites";
+      starBtn.classList.toggle("starred", on);
+    };
+    show(favorites.has(device.id));
+    starBtn.addEventListener("click", () => show(favorites.toggle(device.id)));
+    cardHeader.appendChild(starBtn);
+  }
+  cardHeader.appendChild(infoBtn);
+
+  if (canConnect && selection) {
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.className = "device-select";
+    check.title = "Select for a batch command";
+    check.checked = selection.has(device.id);
+    card.classList.toggle("selected", check.checked);
+    check.addEventListener("change", () => {
+      card.classList.toggle("selected", check.checked);
+      selection.toggle({ device, addr, displayName }, check.checked);
+    });
+    cardHeader.appendChild(check);
+  }
+
   // ── meta ──
   const metaEl = document.createElement("div");
   metaEl.className = "device-meta";
@@ -573,6 +2240,19 @@ function buildCard(device, tab, ipn) {
     metaEl.appendChild(ipv6El);
   }
 
+  if (device.tags?.length) {
+    const tagsEl = document.createElement("div");
+    tagsEl.className = "device-tags";
+    for (const t of device.tags) {
+      const chip = document.createElement("span");
+      chip.className = "device-tag";
+      chip.textContent = t.replace(/^tag:/, "");
+      chip.title = t;
+      tagsEl.appendChild(chip);
+    }
+    metaEl.appendChild(tagsEl);
+  }
+
   const lastSeenEl = document.createElement("span");
   lastSeenEl.className = "device-lastseen";
   lastSeenEl.textContent = `Last seen: ${relativeTime(device.lastSeen)}`;
@@ -583,8 +2263,14 @@ function buildCard(device, tab, ipn) {
   footerEl.className = "device-card-footer";
 
   const badgeEl = document.createElement("span");
-  badgeEl.className = `online-badge ${device.online ? "online" : "offline"}`;
-  badgeEl.textContent = device.online ? "Online" : "Offline";
+  if (device.reachable === false) {
+    badgeEl.className = "online-badge unreachable";
+    badgeEl.textContent = "Unreachable";
+    badgeEl.title = disabledReason;
+  } else {
+    badgeEl.className = `online-badge ${device.online ? "online" : "offline"}`;
+    badgeEl.textContent = device.online ? "Online" : "Offline";
+  }
 
   const connectBtn = document.createElement("button");
   connectBtn.className = "connect-btn";
@@ -603,7 +2289,7 @@ function buildCard(device, tab, ipn) {
 
   if (canConnect) {
     connectBtn.addEventListener("click", () =>
-      openSession(tab, device, addr, displayName, ipn).catch(err =>
+      openSession(pane, device, addr, displayName, ipn).catch(err =>
         console.error("[openSession]", err)
       )
     );
@@ -611,113 +2297,2915 @@ function buildCard(device, tab, ipn) {
   return card;
 }
 
-// ─── SSH session ──────────────────────────────────────────────────────────────
-
-async function openSession(tab, device, addr, displayName, ipn) {
-  // Guard: if a session is already active on this tab, do nothing
-  if (tab.session) return;
+/**
+ * What a session needs to reach a device: { device, addr, displayName }.
+ * Sessions connect over IPv4.
+ */
+function deviceTarget(device) {
+  const addrs = device.addresses ?? [];
+  return {
+    device,
+    addr: addrs.find(a => !a.includes(":")) ?? device.name ?? "",
+    displayName: device.displayName || (device.name ? device.name.split(".")[0] : "unknown"),
+  };
+}
 
-  const user = await promptUsername(device);
-  if (!user) return;  // cancelled
+// ─── Batch commands ───────────────────────────────────────────────────────────
+// Run one command on many devices.  Each host gets a session in an off-screen
+// terminal; the command is typed into the login shell between two marker
+// lines, so its output and exit status can be cut out of the terminal stream.
+// This assumes a POSIX-style shell on the remote end.
 
-  // Guard again after async promptUsername (another click could have snuck in)
-  if (tab.session) return;
+const BATCH_CONCURRENCY = 4;
+const BATCH_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_BEGIN = "__TSSH_BEGIN";
+const BATCH_END = "__TSSH_END";
+const LS_BATCH_USER = "tailssh:batchUser";
 
-  // Persist username for next time (pre-fills the modal on subsequent opens)
-  setStoredUser(device.displayName || device.name, user);
+/**
+ * The line typed into the remote shell.  The markers are printed with split
+ * quotes so the shell's echo of this line never contains them, and the
+ * command runs under eval so it is read in full (even across lines) before
+ * the begin marker prints.
+ */
+function batchScript(command) {
+  const quoted = `'${command.replace(/'/g, `'\\''`)}'`;
+  const mark = (m) => `"${m.slice(0, 4)}""${m.slice(4)}"`;
+  return `printf '\\n%s\\n' ${mark(BATCH_BEGIN)}; eval ${quoted}; printf '\\n%s %d\\n' ${mark(BATCH_END)} $?; exit\r`;
+}
 
-  const label = `${user}@${displayName}`;
-  setTabLabel(tab.id, label);
+// CSI, OSC and two-byte escape sequences
+const ANSI_RE = /\x1b(?:\[[0-?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const BATCH_END_RE = new RegExp(`\\n${BATCH_END} (\\d+)\\n`);
+// Characters of earlier output rescanned with each chunk
+const BATCH_MARKER_OVERLAP = 256;
 
-  // Replace pane content with a terminal wrapper
-  tab.paneEl.innerHTML = "";
-  const termEl = document.createElement("div");
-  termEl.className = "terminal-wrap";
-  tab.paneEl.appendChild(termEl);
+/**
+ * Cut the command's output and exit status out of the raw terminal stream.
+ * Returns { output, exitCode }; either is null until its marker has arrived.
+ */
+function parseBatchOutput(raw) {
+  const text = raw.replace(ANSI_RE, "").replace(/\r/g, "");
+  const begin = text.match(new RegExp(`(?:^|\\n)${BATCH_BEGIN}\\n`));
+  if (!begin) return { output: null, exitCode: null };
+  const rest = text.slice(begin.index + begin[0].length);
+  const end = rest.match(BATCH_END_RE);
+  if (!end) return { output: rest, exitCode: null };
+  return { output: rest.slice(0, end.index), exitCode: Number(end[1]) };
+}
 
-  let closed = false;
+/**
+ * Username/command bar shown in the picker while devices are ticked.
+ * Returns { el, render }; call render() after the selection changes.
+ */
+function buildBatchBar(selected, ipn) {
+  const el = document.createElement("form");
+  el.className = "picker-batch hidden";
 
-  const session = runSSHSession(
-    termEl,
-    { hostname: addr, username: user, timeoutSeconds: 30 },
-    ipn,
-    {
-      onConnectionProgress(msg) { console.log(`[ssh:${label}] progress:`, msg); },
-      onConnected() {
-        console.log(`[ssh:${label}] connected`);
-        // Focus the terminal as soon as the connection is up
-        const input = tab.paneEl.querySelector(".xterm-helper-textarea");
-        if (input) input.focus();
-      },
-      onError(err) {
-        console.error(`[ssh:${label}] error:`, err);
-        if (!closed) onSessionEnd(tab, ipn);
-      },
-      onDone() {
-        console.log(`[ssh:${label}] done`);
-        if (!closed) onSessionEnd(tab, ipn);
-      },
-    },
-    xtermOptions()
-  );
+  const countEl = document.createElement("span");
+  countEl.className = "picker-batch-count";
+  const userInput = document.createElement("input");
+  userInput.className = "picker-batch-user";
+  userInput.placeholder = "username";
+  userInput.autocomplete = "off";
+  userInput.spellcheck = false;
+  try { userInput.value = localStorage.getItem(LS_BATCH_USER) ?? ""; } catch {}
+  const cmdInput = document.createElement("input");
+  cmdInput.className = "picker-batch-cmd";
+  cmdInput.placeholder = "Command, e.g. uptime";
+  cmdInput.autocomplete = "off";
+  cmdInput.spellcheck = false;
+  const runBtn = document.createElement("button");
+  runBtn.type = "submit";
+  runBtn.className = "connect-btn";
+  runBtn.textContent = "Run";
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "picker-refresh-btn";
+  clearBtn.textContent = "Clear";
+  el.append(countEl, userInput, cmdInput, runBtn, clearBtn);
 
-  tab.session = {
-    close() {
-      closed = true;
-      try { session?.close?.(); } catch {}
-    },
+  const render = () => {
+    const n = selected.size;
+    el.classList.toggle("hidden", n === 0);
+    countEl.textContent = `${n} selected`;
+    runBtn.disabled = !userInput.value.trim() || !cmdInput.value.trim();
   };
-}
 
-function onSessionEnd(tab, ipn) {
-  tab.session = null;
-  tab.paneEl.innerHTML = "";
-  loadPicker(tab, ipn).catch(err => console.error("[onSessionEnd→loadPicker]", err));
+  userInput.addEventListener("input", render);
+  cmdInput.addEventListener("input", render);
+  clearBtn.addEventListener("click", () => {
+    selected.clear();
+    for (const check of el.parentElement?.querySelectorAll(".device-select:checked") ?? []) {
+      check.checked = false;
+      check.closest(".device-card")?.classList.remove("selected");
+    }
+    render();
+  });
+  el.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const user = userInput.value.trim();
+    const command = cmdInput.value.trim();
+    if (!user || !command || !selected.size) return;
+    try { localStorage.setItem(LS_BATCH_USER, user); } catch {}
+    openBatchTab(ipn, [...selected.values()], user, command);
+  });
+
+  render();
+  return { el, render };
 }
 
-function xtermOptions() {
-  return {
-    fontFamily: '"JetBrains Mono", "Cascadia Code", "Fira Code", monospace',
-    fontSize: 14,
-    lineHeight: 1.2,
-    theme: {
-      background:          "#1c1c1e",
-      foreground:          "#f2f2f7",
-      cursor:              "#f2f2f7",
-      cursorAccent:        "#1c1c1e",
-      selectionBackground: "rgba(10,132,255,0.25)",
-      black:               "#48484a",
-      red:                 "#ff453a",
-      green:               "#30d158",
-      yellow:              "#ffd60a",
-      blue:                "#0a84ff",
-      magenta:             "#bf5af2",
-      cyan:                "#5ac8fa",
-      white:               "#aeaeb2",
-      brightBlack:         "#636366",
-      brightRed:           "#ff6961",
-      brightGreen:         "#34c759",
-      brightYellow:        "#ffd426",
-      brightBlue:          "#409cff",
-      brightMagenta:       "#da8fff",
-      brightCyan:          "#70d7ff",
-      brightWhite:         "#f2f2f7",
+/**
+ * Run `command` as `user` on every target ({ device, addr, displayName }),
+ * at most BATCH_CONCURRENCY at a time, in a new tab with a results grid.
+ */
+function openBatchTab(ipn, targets, user, command) {
+  createTab(ipn, {
+    loadContent(pane) {
+      setPaneLabel(pane, `⚡ ${command}`);
+      pane.el.innerHTML = "";
+
+      const jobs = targets.map(t => ({
+        ...t, status: "queued", exitCode: null, output: "", error: null,
+        startedAt: null, duration: null, cancel: null,
+      }));
+      let cancelled = false;
+
+      // ── toolbar ──
+      const bar = document.createElement("div");
+      bar.className = "session-toolbar";
+      const labelEl = document.createElement("span");
+      labelEl.className = "toolbar-label";
+      labelEl.textContent = `${user}@${jobs.length} host${jobs.length === 1 ? "" : "s"}: ${command}`;
+      const progressEl = document.createElement("span");
+      progressEl.className = "toolbar-text";
+      const cancelBtn = document.createElement("button");
+      cancelBtn.className = "toolbar-btn";
+      cancelBtn.textContent = "■ Cancel";
+      const jsonBtn = document.createElement("button");
+      jsonBtn.className = "toolbar-btn";
+      jsonBtn.textContent = "⬇ JSON";
+      jsonBtn.title = "Export results as JSON";
+      const csvBtn = document.createElement("button");
+      csvBtn.className = "toolbar-btn";
+      csvBtn.textContent = "⬇ CSV";
+      csvBtn.title = "Export results as CSV";
+      bar.append(labelEl, progressEl, cancelBtn, jsonBtn, csvBtn, buildSplitControls(pane, ipn));
+
+      // ── results grid ──
+      const wrap = document.createElement("div");
+      wrap.className = "batch-results";
+      const table = document.createElement("table");
+      table.className = "batch-table";
+      const thead = document.createElement("thead");
+      const headRow = document.createElement("tr");
+      for (const h of ["Host", "Status", "Exit", "Duration", "Output"]) {
+        const th = document.createElement("th");
+        th.textContent = h;
+        headRow.appendChild(th);
+      }
+      thead.appendChild(headRow);
+      const tbody = document.createElement("tbody");
+      table.append(thead, tbody);
+      wrap.appendChild(table);
+      pane.el.append(bar, wrap);
+
+      const rows = new Map(jobs.map(job => {
+        const tr = document.createElement("tr");
+        tbody.appendChild(tr);
+        return [job, tr];
+      }));
+
+      const renderProgress = () => {
+        const done = jobs.filter(j => j.duration !== null).length;
+        const failed = jobs.filter(j => j.duration !== null && j.exitCode !== 0).length;
+        progressEl.textContent = `${done}/${jobs.length} done${failed ? `, ${failed} failed` : ""}`;
+        cancelBtn.disabled = cancelled || done === jobs.length;
+        jsonBtn.disabled = csvBtn.disabled = done === 0;
+      };
+
+      const renderRow = (job) => {
+        const tr = rows.get(job);
+        tr.className = `batch-row batch-${job.status}${job.exitCode ? " batch-nonzero" : ""}`;
+        const hostTd = document.createElement("td");
+        hostTd.textContent = job.displayName;
+        hostTd.title = job.addr;
+        const statusTd = document.createElement("td");
+        statusTd.textContent = job.status;
+        if (job.error) statusTd.title = job.error;
+        const exitTd = document.createElement("td");
+        exitTd.textContent = job.exitCode ?? "";
+        const durTd = document.createElement("td");
+        durTd.textContent = job.duration !== null ? `${(job.duration / 1000).toFixed(1)}s` : "";
+        const outTd = document.createElement("td");
+        outTd.className = "batch-output";
+        const text = job.output || job.error || "";
+        if (text) {
+          const details = document.createElement("details");
+          const summary = document.createElement("summary");
+          summary.textContent = text.trim().split("\n")[0] || " ";
+          const pre = document.createElement("pre");
+          pre.textContent = text;
+          details.append(summary, pre);
+          outTd.appendChild(details);
+        }
+        tr.replaceChildren(hostTd, statusTd, exitTd, durTd, outTd);
+        renderProgress();
+      };
+      jobs.forEach(renderRow);
+
+      const cancelAll = () => {
+        cancelled = true;
+        for (const job of jobs) {
+          if (job.cancel) job.cancel();
+          else if (job.status === "queued") { job.status = "cancelled"; job.duration = 0; renderRow(job); }
+        }
+      };
+      cancelBtn.addEventListener("click", cancelAll);
+
+      const results = () => jobs.map(j => ({
+        host: j.displayName,
+        address: j.addr,
+        deviceId: j.device.id,
+        status: j.status,
+        exitCode: j.exitCode,
+        durationMs: j.duration,
+        output: j.output,
+        error: j.error,
+      }));
+      const base = `batch-${fileStamp(Date.now())}`;
+      jsonBtn.addEventListener("click", () => {
+        saveFile(`${base}.json`, JSON.stringify({ user, command, results: results() }, null, 2), "application/json");
+      });
+      csvBtn.addEventListener("click", () => {
+        const data = results();
+        const cols = Object.keys(data[0]);
+        const cell = (v) => {
+          const str = v === null || v === undefined ? "" : String(v);
+          return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const csv = [cols, ...data.map(r => cols.map(c => r[c]))].map(r => r.map(cell).join(",")).join("\r\n");
+        saveFile(`${base}.csv`, csv + "\r\n", "text/csv");
+      });
+
+      pane.batch = { dispose: cancelAll };
+
+      // ── worker pool ──
+      let next = 0;
+      const worker = async () => {
+        while (!cancelled && next < jobs.length) {
+          const job = jobs[next++];
+          if (job.status !== "queued") continue;
+          await runBatchJob(ipn, job, user, command, renderRow);
+        }
+      };
+      Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, jobs.length) }, worker))
+        .catch(err => console.error("[batch]", err));
     },
-  };
+  });
 }
 
-// ─── Main ─────────────────────────────────────────────────────────────────────
-
+/**
+ * Run the command on one host.  Updates `job` in place (status, exitCode,
+ * output, error, duration), calling onUpdate after each change, and resolves
+ * once the job has finished, failed, timed out or been cancelled.
+ */
+function runBatchJob(ipn, job, user, command, onUpdate) {
+  return new Promise((resolve) => {
+    const host = document.createElement("div");
+    host.className = "batch-terminal";
+    document.body.appendChild(host);
+
+    const label = `${user}@${job.displayName}`;
+    const audit = {
+      sessionId:  crypto.randomUUID(),
+      deviceId:   job.device.id,
+      deviceName: job.displayName,
+      username:   user,
+      tabLabel:   `batch: ${command}`,
+    };
+    reportAudit("start", audit);
+
+    let raw = "";
+    // raw.length already searched for the end marker
+    let scanned = 0;
+    let send = null;
+    let session = null;
+    let settled = false;
+    let errorReason = null;
+
+    const settle = (status, error = null) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      const { output, exitCode } = parseBatchOutput(raw);
+      job.status = status;
+      job.exitCode = exitCode;
+      job.output = output ?? "";
+      job.error = error;
+      job.duration = Date.now() - job.startedAt;
+      job.cancel = null;
+      reportAudit("end", audit, exitCode !== null ? `exit ${exitCode}` : error ?? status);
+      try { session?.close?.(); } catch {}
+      host.remove();
+      onUpdate(job);
+      resolve();
+    };
+
+    job.status = "connecting";
+    job.startedAt = Date.now();
+    job.cancel = () => settle("cancelled", "Cancelled");
+    const timer = setTimeout(
+      () => settle("timeout", `No exit status after ${formatDuration(BATCH_TIMEOUT_MS / 1000)}`),
+      BATCH_TIMEOUT_MS
+    );
+    onUpdate(job);
+
+    const tapped = tapIPN(ipn, {
+      onReady: (fn) => { send = fn; },
+      onOutput(data) {
+        raw += data;
+        // Only look at the new output, plus enough before it to catch an
+        // end marker (and escape sequences around it) split across chunks
+        const fresh = raw.slice(Math.max(0, scanned - BATCH_MARKER_OVERLAP));
+        scanned = raw.length;
+        if (BATCH_END_RE.test(fresh.replace(ANSI_RE, "").replace(/\r/g, ""))) settle("done");
+      },
+    });
+
+    session = runSSHSession(
+      host,
+      { hostname: job.addr, username: user, timeoutSeconds: 30 },
+      tapped,
+      {
+        onConnectionProgress(msg) { console.log(`[batch:${label}] progress:`, msg); },
+        onConnected() {
+          job.status = "running";
+          onUpdate(job);
+          reportAudit("connect", audit);
+          send?.(batchScript(command));
+        },
+        onError(err) {
+          console.error(`[batch:${label}] error:`, err);
+          reportAudit("error", audit, err);
+          errorReason = String(err);
+        },
+        onDone() {
+          settle("failed", errorReason ?? "Session ended without an exit status");
+        },
+      },
+      xtermOptions()
+    );
+  });
+}
+
+// ─── Audit reporting ──────────────────────────────────────────────────────────
+// Session events go to POST /api/audit.  Reporting is best-effort: failures
+// are logged and never interrupt the session, and a 404 (no audit database
+// configured) or 403 (no Access identity to record) turns reporting off for
+// the rest of the page's life.
+
+let auditEnabled = true;
+
+/**
+ * @param {string} event  — "start" | "connect" | "end" | "error"
+ * @param {object} ctx    — { sessionId, deviceId, deviceName, username, tabLabel }
+ * @param {string} [reason]
+ */
+function reportAudit(event, ctx, reason) {
+  if (!auditEnabled) return;
+  const body = JSON.stringify({
+    event,
+    ...ctx,
+    tailnet: currentTailnet,
+    at: new Date().toISOString(),
+    ...(reason ? { reason: String(reason) } : {}),
+  });
+  // keepalive lets "end" events sent while the page unloads still arrive
+  fetch("/api/audit", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+    keepalive: true,
+  }).then((resp) => {
+    if (resp.status === 404 || resp.status === 403) auditEnabled = false;
+    else if (!resp.ok) console.warn(`[audit] ${event} not recorded: HTTP ${resp.status}`);
+  }).catch(err => console.warn(`[audit] ${event} not recorded:`, err.message));
+}
+
+// Report still-open sessions as ended when the page goes away
+window.addEventListener("pagehide", () => {
+  for (const tab of tabs) {
+    for (const pane of allPanes(tab.layout)) pane.session?.close("page closed");
+  }
+});
+
+// ─── Session I/O taps ─────────────────────────────────────────────────────────
+
+/**
+ * Wrap an IPN so the I/O of a runSSHSession can be observed.
+ *
+ * runSSHSession only ever calls ipn.ssh(), whose termConfig carries the
+ * terminal's write function (SSH → screen), the read-hook registration
+ * (keyboard → SSH), the initial size and the onDone callback.  The proxy
+ * forwards everything to the real IPN and reports to `taps`:
+ *   onOutput(data)        — bytes written to the terminal
+ *   onInput(data)         — keystrokes typed into the terminal
+ *   onReady(send)         — `send(data)` writes to the SSH session as if typed
+ *   onResize(cols, rows)  — initial size and every resize
+ *   onDone()              — before pkg.js disposes the terminal
+ */
+function tapIPN(ipn, taps) {
+  return {
+    ssh(host, username, termConfig) {
+      taps.onResize?.(termConfig.cols, termConfig.rows);
+      const sshSession = ipn.ssh(host, username, {
+        ...termConfig,
+        writeFn(data) {
+          taps.onOutput?.(data);
+          termConfig.writeFn(data);
+        },
+        setReadFn(readFn) {
+          taps.onReady?.(readFn);
+          termConfig.setReadFn((data) => {
+            taps.onInput?.(data);
+            readFn(data);
+          });
+        },
+        onDone() {
+          taps.onDone?.();
+          termConfig.onDone();
+        },
+      });
+      return {
+        resize(rows, cols) {
+          taps.onResize?.(cols, rows);
+          return sshSession.resize(rows, cols);
+        },
+        close() { return sshSession.close(); },
+      };
+    },
+  };
+}
+
+// ─── Session recording (asciicast v2) ─────────────────────────────────────────
+// https://docs.asciinema.org/manual/asciicast/v2/ — a JSON header line, then
+// one [seconds, "o"|"r", data] line per output chunk or resize.
+
+/**
+ * Create a recorder fed by tapIPN.  Recording can be switched on and off any
+ * number of times; stop() returns the finished recording:
+ *   { title, cast, duration, startedAt }
+ */
+function createCastRecorder(title) {
+  let size = { cols: 80, rows: 24 };
+  let rec = null;
+  const decoder = new TextDecoder();
+  const now = () => Math.round((performance.now() - rec.t0) * 1000) / 1e6;
+
+  return {
+    get active() { return rec !== null; },
+    get elapsed() { return rec ? (performance.now() - rec.t0) / 1000 : 0; },
+
+    resize(cols, rows) {
+      size = { cols, rows };
+      if (rec) rec.events.push([now(), "r", `${cols}x${rows}`]);
+    },
+
+    output(data) {
+      if (!rec) return;
+      const text = typeof data === "string" ? data : decoder.decode(data, { stream: true });
+      rec.events.push([now(), "o", text]);
+    },
+
+    start() {
+      rec = { t0: performance.now(), startedAt: Date.now(), width: size.cols, height: size.rows, events: [] };
+    },
+
+    stop() {
+      if (!rec) return null;
+      const header = {
+        version:   2,
+        width:     rec.width,
+        height:    rec.height,
+        timestamp: Math.floor(rec.startedAt / 1000),
+        duration:  now(),
+        title,
+        env:       { TERM: "xterm-256color" },
+      };
+      const cast = [header, ...rec.events].map(l => JSON.stringify(l)).join("\n") + "\n";
+      const result = { title, cast, duration: header.duration, startedAt: rec.startedAt };
+      rec = null;
+      return result;
+    },
+  };
+}
+
+function downloadRecording(rec) {
+  const name = `${rec.title.replace(/[^\w@.-]+/g, "_")}-${fileStamp(rec.startedAt)}.cast`;
+  saveFile(name, rec.cast, "application/x-asciicast");
+}
+
+/** Timestamp safe for file names, e.g. 2024-05-01T09-30-00-000Z */
+function fileStamp(ms) {
+  return new Date(ms).toISOString().replace(/[:.]/g, "-");
+}
+
+/** Hand `text` to the browser as a download named `name`. */
+function saveFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─── Recording replay ─────────────────────────────────────────────────────────
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Parse asciicast v2 text into { header, events, duration }.  Only output and
+ * resize events are kept.  Throws on anything that is not asciicast v2.
+ */
+function parseCast(text) {
+  const lines = text.split("\n").filter(l => l.trim());
+  const header = JSON.parse(lines[0] ?? "null");
+  if (header?.version !== 2) throw new Error("not an asciicast v2 recording");
+  const events = lines.slice(1).map(l => JSON.parse(l)).filter(e => e[1] === "o" || e[1] === "r");
+  const duration = events.length ? events[events.length - 1][0] : 0;
+  return { header, events, duration: Math.max(duration, header.duration ?? 0) };
+}
+
+/** Let the user choose a .cast file and replay it in a new tab. */
+function pickCastFile(ipn) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".cast,application/x-asciicast,application/json";
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    openReplayTab(ipn, { title: file.name.replace(/\.cast$/, ""), cast: await file.text() });
+  });
+  input.click();
+}
+
+/**
+ * Open a recording ({ title, cast }) in a new tab with play/pause, a seek
+ * bar and speed controls.
+ *
+ * The screen is a real xterm instance obtained from runSSHSession with a
+ * stand-in IPN whose ssh() never connects anywhere: it just hands back the
+ * terminal's write function, which the player feeds from the recording.
+ */
+function openReplayTab(ipn, rec) {
+  let parsed;
+  try {
+    parsed = parseCast(rec.cast);
+  } catch (err) {
+    alert(`Cannot replay ${rec.title}: ${err.message}`);
+    return;
+  }
+
+  createTab(ipn, {
+    loadContent(pane) {
+      setPaneLabel(pane, `▶ ${rec.title}`);
+      pane.el.innerHTML = "";
+
+      // ── controls ──
+      const bar = document.createElement("div");
+      bar.className = "session-toolbar replay-toolbar";
+      const playBtn = document.createElement("button");
+      playBtn.className = "toolbar-btn";
+      const seek = document.createElement("input");
+      seek.type = "range";
+      seek.className = "replay-seek";
+      seek.min = "0";
+      seek.max = String(parsed.duration);
+      seek.step = "0.01";
+      seek.value = "0";
+      const timeEl = document.createElement("span");
+      timeEl.className = "toolbar-text";
+      const speedSel = document.createElement("select");
+      speedSel.className = "toolbar-select";
+      speedSel.title = "Playback speed";
+      for (const sp of REPLAY_SPEEDS) {
+        const opt = document.createElement("option");
+        opt.value = String(sp);
+        opt.textContent = `${sp}×`;
+        opt.selected = sp === 1;
+        speedSel.appendChild(opt);
+      }
+      const dlBtn = document.createElement("button");
+      dlBtn.className = "toolbar-btn";
+      dlBtn.textContent = "⬇ Download";
+      dlBtn.addEventListener("click", () => downloadRecording({ startedAt: Date.now(), ...rec }));
+      bar.append(playBtn, seek, timeEl, speedSel, dlBtn);
+
+      // Sized in character cells so the recording wraps like the original
+      const screenWrap = document.createElement("div");
+      screenWrap.className = "replay-screen-wrap";
+      const termEl = document.createElement("div");
+      termEl.className = "terminal-wrap replay-screen";
+      screenWrap.appendChild(termEl);
+      const opts = xtermOptions();
+      const sizeScreen = (cols, rows) => {
+        termEl.style.width  = `calc(${cols}ch + 14px)`;
+        termEl.style.height = `${rows * opts.lineHeight}em`;
+      };
+      termEl.style.fontSize   = `${opts.fontSize}px`;
+      termEl.style.fontFamily = opts.fontFamily;
+      sizeScreen(parsed.header.width ?? 80, parsed.header.height ?? 24);
+
+      pane.el.append(bar, screenWrap);
+
+      // ── screen via a stand-in IPN ──
+      let write = () => {};
+      let endScreen = () => {};
+      const screen = runSSHSession(termEl, { hostname: "replay", username: "replay" }, {
+        ssh(_host, _user, termConfig) {
+          write = (data) => termConfig.writeFn(data);
+          endScreen = () => termConfig.onDone();
+          return { resize() { return true; }, close() { endScreen(); return true; } };
+        },
+      }, { onConnectionProgress() {}, onConnected() {}, onDone() {} }, { ...opts, cursorBlink: false, disableStdin: true });
+
+      // ── playback state ──
+      let position = 0;   // seconds into the recording
+      let next = 0;       // index of the first event not yet written
+      let playing = false;
+      let speed = 1;
+      let lastTick = 0;
+      let raf = 0;
+
+      const render = () => {
+        playBtn.textContent = playing ? "❚❚ Pause" : "▶ Play";
+        seek.value = String(position);
+        timeEl.textContent = `${formatDuration(position)} / ${formatDuration(parsed.duration)}`;
+      };
+
+      // Write every event up to `position`.  Going backwards means resetting
+      // the terminal and replaying from the start, as asciinema does.
+      const advance = () => {
+        let chunk = "";
+        while (next < parsed.events.length && parsed.events[next][0] <= position) {
+          const [, type, data] = parsed.events[next++];
+          if (type === "o") chunk += data;
+          else {
+            const [cols, rows] = String(data).split("x").map(Number);
+            if (cols && rows) sizeScreen(cols, rows);
+          }
+        }
+        if (chunk) write(chunk);
+      };
+
+      const seekTo = (t) => {
+        const target = Math.min(Math.max(t, 0), parsed.duration);
+        if (target < position) {
+          write("\x1bc");   // RIS: full terminal reset
+          // Back to the recording's own size; "r" events resize it again
+          sizeScreen(parsed.header.width ?? 80, parsed.header.height ?? 24);
+          next = 0;
+        }
+        position = target;
+        advance();
+        render();
+      };
+
+      const tick = (now) => {
+        if (!playing) return;
+        position = Math.min(position + ((now - lastTick) / 1000) * speed, parsed.duration);
+        lastTick = now;
+        advance();
+        if (position >= parsed.duration) playing = false;
+        render();
+        if (playing) raf = requestAnimationFrame(tick);
+      };
+
+      const play = () => {
+        if (position >= parsed.duration) seekTo(0);
+        playing = true;
+        lastTick = performance.now();
+        raf = requestAnimationFrame(tick);
+        render();
+      };
+      const pause = () => {
+        playing = false;
+        cancelAnimationFrame(raf);
+        render();
+      };
+
+      playBtn.addEventListener("click", () => (playing ? pause() : play()));
+      seek.addEventListener("input", () => seekTo(Number(seek.value)));
+      speedSel.addEventListener("change", () => { speed = Number(speedSel.value); });
+
+      pane.player = {
+        dispose() {
+          pause();
+          try { screen?.close?.(); } catch {}
+        },
+      };
+
+      render();
+      play();
+    },
+  });
+}
+
+// ─── SSH session ──────────────────────────────────────────────────────────────
+
+async function openSession(pane, device, addr, displayName, ipn) {
+  // Guard: if a session is already active in this pane, do nothing
+  if (pane.session) return;
+
+  const user = await promptUsername(device);
+  if (!user) return;  // cancelled
+
+  // Guard again after async promptUsername (another click could have snuck in)
+  if (pane.session) return;
+
+  // Persist username for next time (pre-fills the modal on subsequent opens)
+  setStoredUser(device.displayName || device.name, user);
+
+  startSession(pane, { device, addr, displayName, user }, ipn);
+}
+
+/**
+ * Run an SSH session in `pane`.
+ *
+ * When the session ends on its own, the last screen stays visible under an
+ * overlay with the exit reason and a Reconnect button (see
+ * showSessionEnded).  `attempt` counts consecutive failed reconnects and
+ * drives the auto-reconnect backoff.
+ *
+ * Sessions opened from a profile also carry its tab label, terminal
+ * appearance and a startup command typed once the connection is up.
+ *
+ * @param {object} pane
+ * @param {{device:object, addr:string, displayName:string, user:string,
+ *          label?:string, appearance?:object, startupCommand?:string}} target
+ * @param {object} ipn
+ * @param {number} [attempt]
+ */
+function startSession(pane, target, ipn, attempt = 0) {
+  const { device, addr, displayName, user } = target;
+  const label = target.label ?? `${user}@${displayName}`;
+  pane.target = target;
+  scheduleWorkspaceSave();
+  setPaneLabel(pane, label);
+  setPaneState(pane, attempt ? "reconnecting" : "connecting");
+
+  // Replace pane content with a toolbar and a terminal area.  The area also
+  // hosts the "session ended" overlay on top of the frozen terminal.
+  pane.el.innerHTML = "";
+  const recorder = createCastRecorder(label);
+  const toolbar = buildSessionToolbar(pane, recorder, target);
+  const termArea = document.createElement("div");
+  termArea.className = "terminal-area";
+  const termEl = document.createElement("div");
+  termEl.className = "terminal-wrap";
+  termArea.appendChild(termEl);
+  pane.el.appendChild(toolbar.el);
+  pane.el.appendChild(termArea);
+
+  let closed = false;
+  let connected = false;
+  let finished = false;
+  let errorReason = null;
+  let errorTimer = null;
+  let frozenScreen = null;
+
+  const audit = {
+    sessionId:  crypto.randomUUID(),
+    deviceId:   device.id,
+    deviceName: displayName,
+    username:   user,
+    tabLabel:   label,
+  };
+  let auditEnded = false;
+  const auditEnd = (reason) => {
+    if (auditEnded) return;
+    auditEnded = true;
+    reportAudit("end", audit, reason);
+  };
+  reportAudit("start", audit);
+
+  // A session that fails with an error counts as dropped (eligible for
+  // auto-reconnect); a clean end after connecting means the shell exited.
+  const finish = (reason, dropped) => {
+    if (finished || closed) return;
+    finished = true;
+    clearTimeout(errorTimer);
+    auditEnd(reason);
+    toolbar.stopRecording();
+    pane.session = null;
+    if (frozenScreen && !termEl.firstChild) termEl.appendChild(frozenScreen);
+    showSessionEnded(pane, termArea, target, ipn, {
+      reason,
+      dropped,
+      // A session that got through resets the backoff
+      attempt: connected ? 0 : attempt,
+    });
+  };
+
+  let sendInput = null;
+  const tapped = tapIPN(ipn, {
+    onReady: (send) => { sendInput = send; },
+    onInput: (data) => broadcastInput(pane, data),
+    onOutput: (data) => recorder.output(data),
+    onResize: (cols, rows) => recorder.resize(cols, rows),
+    onDone() {
+      // pkg.js disposes the terminal right after this; keep a static copy of
+      // the rendered screen so the user still sees where the session stopped.
+      const xtermEl = termEl.querySelector(".xterm");
+      if (xtermEl) {
+        frozenScreen = xtermEl.cloneNode(true);
+        frozenScreen.classList.add("terminal-frozen");
+        frozenScreen.querySelector(".xterm-helper-textarea")?.remove();
+      }
+      // Keep the recording of a session that ends while recording
+      toolbar.stopRecording();
+    },
+  });
+
+  const options = xtermOptions(target.appearance, device.id);
+  const session = runSSHSession(
+    termEl,
+    { hostname: addr, username: user, timeoutSeconds: 30 },
+    tapped,
+    {
+      onConnectionProgress(msg) { console.log(`[ssh:${label}] progress:`, msg); },
+      onConnected() {
+        console.log(`[ssh:${label}] connected`);
+        connected = true;
+        setPaneState(pane, "connected");
+        reportAudit("connect", audit);
+        recordRecent(target);
+        if (target.startupCommand) sendInput?.(`${target.startupCommand}\r`);
+        // Focus the terminal as soon as the connection is up, unless the
+        // user has moved on to another pane of the tab meanwhile
+        if (pane.tab.focusedPane === pane) focusPaneInput(pane);
+      },
+      onError(err) {
+        console.error(`[ssh:${label}] error:`, err);
+        if (!auditEnded) reportAudit("error", audit, err);
+        errorReason = String(err);
+        // onDone normally follows an error; don't wait forever if it doesn't
+        clearTimeout(errorTimer);
+        errorTimer = setTimeout(() => finish(errorReason, true), 3000);
+      },
+      onDone() {
+        console.log(`[ssh:${label}] done`);
+        if (errorReason !== null) finish(errorReason, true);
+        else if (connected) finish("Session closed by the remote host", false);
+        else finish("Connection closed before the session started", true);
+      },
+    },
+    options
+  );
+  if (liveThemeStyle) applyLiveAppearance();
+
+  pane.session = {
+    /** The xterm options the terminal was created with (see applyLiveAppearance). */
+    options,
+    /** Type `data` into the session (broadcast input from a linked pane). */
+    send(data) {
+      if (connected) sendInput?.(data);
+    },
+    /** @param {string} [reason] — recorded in the audit log */
+    close(reason = "closed by user") {
+      closed = true;
+      clearTimeout(errorTimer);
+      auditEnd(reason);
+      toolbar.dispose();
+      try { session?.close?.(); } catch {}
+    },
+  };
+}
+
+// ─── Session ended / reconnect ────────────────────────────────────────────────
+
+const LS_AUTO_RECONNECT = "tailssh:autoReconnect";
+const RECONNECT_MAX_ATTEMPTS = 8;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+function getAutoReconnect() {
+  try { return localStorage.getItem(LS_AUTO_RECONNECT) === "1"; } catch { return false; }
+}
+
+function setAutoReconnect(on) {
+  try {
+    if (on) localStorage.setItem(LS_AUTO_RECONNECT, "1");
+    else    localStorage.removeItem(LS_AUTO_RECONNECT);
+  } catch {}
+}
+
+/** Exponential backoff with ±20 % jitter so many tabs don't retry in lockstep. */
+function reconnectDelay(attempt) {
+  const base = Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Overlay an ended session with its exit reason, a Reconnect button and the
+ * auto-reconnect switch.  Dropped sessions are retried automatically when
+ * auto-reconnect is on, backing off exponentially up to
+ * RECONNECT_MAX_ATTEMPTS; coming back online retries immediately.
+ */
+function showSessionEnded(pane, termArea, target, ipn, { reason, dropped, attempt }) {
+  const overlay = document.createElement("div");
+  overlay.className = "session-ended";
+  const box = document.createElement("div");
+  box.className = "session-ended-box";
+
+  const title = document.createElement("h2");
+  title.textContent = dropped ? "Connection lost" : "Session ended";
+  const reasonEl = document.createElement("p");
+  reasonEl.className = "session-ended-reason";
+  reasonEl.textContent = reason;
+  const countdownEl = document.createElement("p");
+  countdownEl.className = "session-ended-countdown";
+
+  const actions = document.createElement("div");
+  actions.className = "modal-actions";
+  const backBtn = document.createElement("button");
+  backBtn.className = "btn-secondary";
+  backBtn.textContent = "Back to devices";
+  const reconnectBtn = document.createElement("button");
+  reconnectBtn.className = "btn-primary";
+  reconnectBtn.textContent = "Reconnect";
+  actions.append(backBtn, reconnectBtn);
+
+  const autoLabel = document.createElement("label");
+  autoLabel.className = "session-ended-auto";
+  const autoBox = document.createElement("input");
+  autoBox.type = "checkbox";
+  autoBox.checked = getAutoReconnect();
+  autoLabel.append(autoBox, " Auto-reconnect dropped connections");
+
+  box.append(title, reasonEl, countdownEl, actions, autoLabel);
+  overlay.appendChild(box);
+  termArea.appendChild(overlay);
+
+  let timer = null;
+  let ticker = null;
+
+  const cancelAuto = () => {
+    clearTimeout(timer);
+    clearInterval(ticker);
+    timer = ticker = null;
+    countdownEl.textContent = "";
+    setPaneState(pane, "ended");
+  };
+
+  const reconnect = (nextAttempt) => {
+    disposePaneContent(pane);
+    startSession(pane, target, ipn, nextAttempt);
+  };
+
+  const onOnline = () => { if (timer) reconnect(attempt + 1); };
+
+  const scheduleAuto = () => {
+    if (!dropped || !autoBox.checked) return;
+    if (attempt >= RECONNECT_MAX_ATTEMPTS) {
+      countdownEl.textContent = `Gave up after ${RECONNECT_MAX_ATTEMPTS} attempts.`;
+      return;
+    }
+    const due = Date.now() + reconnectDelay(attempt);
+    const render = () => {
+      const secs = Math.max(0, Math.ceil((due - Date.now()) / 1000));
+      countdownEl.textContent = `Reconnecting in ${secs}s (attempt ${attempt + 1} of ${RECONNECT_MAX_ATTEMPTS})…`;
+    };
+    render();
+    ticker = setInterval(render, 1000);
+    timer = setTimeout(() => reconnect(attempt + 1), due - Date.now());
+    setPaneState(pane, "reconnecting");
+  };
+
+  reconnectBtn.addEventListener("click", () => reconnect(0));
+  backBtn.addEventListener("click", () => {
+    disposePaneContent(pane);
+    loadPicker(pane, ipn).catch(err => console.error("[loadPicker]", err));
+  });
+  autoBox.addEventListener("change", () => {
+    setAutoReconnect(autoBox.checked);
+    if (autoBox.checked) scheduleAuto();
+    else cancelAuto();
+  });
+  window.addEventListener("online", onOnline);
+
+  pane.endedScreen = {
+    dispose() {
+      clearTimeout(timer);
+      clearInterval(ticker);
+      window.removeEventListener("online", onOnline);
+    },
+  };
+
+  setPaneState(pane, "ended");
+  scheduleAuto();
+  if (pane.tab.id === activeTabId && pane.tab.focusedPane === pane) reconnectBtn.focus();
+}
+
+/**
+ * Toolbar above a live terminal: record toggle, download and replay of the
+ * pane's latest recording, saving the session as a profile, plus the pane's
+ * label and split controls.  Returns { el, stopRecording, dispose }.
+ */
+function buildSessionToolbar(pane, recorder, target) {
+  const el = document.createElement("div");
+  el.className = "session-toolbar";
+
+  const recBtn = document.createElement("button");
+  recBtn.className = "toolbar-btn toolbar-rec";
+  const dlBtn = document.createElement("button");
+  dlBtn.className = "toolbar-btn";
+  dlBtn.textContent = "⬇ Download";
+  dlBtn.title = "Download the last recording (asciicast v2)";
+  const playBtn = document.createElement("button");
+  playBtn.className = "toolbar-btn";
+  playBtn.textContent = "▶ Replay";
+  playBtn.title = "Replay the last recording in a new tab";
+  const labelEl = document.createElement("span");
+  labelEl.className = "toolbar-label";
+  labelEl.textContent = pane.label;
+  const linkBtn = document.createElement("button");
+  linkBtn.className = "toolbar-btn toolbar-link";
+  linkBtn.textContent = "⇶ Broadcast";
+  linkBtn.classList.toggle("linked", broadcastPanes.has(pane));
+  linkBtn.title = `${broadcastPanes.has(pane) ? "Unlink from" : "Link to"} broadcast${shortcutHint("linkPane")}`;
+  linkBtn.addEventListener("click", () => setPaneLinked(pane, !broadcastPanes.has(pane)));
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "toolbar-btn";
+  saveBtn.textContent = "☆ Save";
+  saveBtn.title = "Save this connection as a profile";
+  saveBtn.addEventListener("click", () => {
+    promptProfile({
+      name:           target.label ?? `${target.user}@${target.displayName}`,
+      deviceId:       target.device.id,
+      deviceName:     target.displayName,
+      username:       target.user,
+      tabLabel:       target.label,
+      startupCommand: target.startupCommand,
+      appearance:     target.appearance,
+    }).catch(err => console.error("[promptProfile]", err));
+  });
+  const lookBtn = document.createElement("button");
+  lookBtn.className = "toolbar-btn";
+  lookBtn.textContent = "Aa";
+  lookBtn.title = "Terminal appearance";
+  lookBtn.addEventListener("click", () =>
+    openSettingsPanel({ deviceId: target.device.id, name: target.displayName })
+  );
+  el.append(labelEl, linkBtn, recBtn, dlBtn, playBtn, saveBtn, lookBtn, buildSplitControls(pane, globalIpn));
+
+  let timer = null;
+  const render = () => {
+    recBtn.classList.toggle("recording", recorder.active);
+    recBtn.textContent = recorder.active ? `■ Stop ${formatDuration(recorder.elapsed)}` : "● Record";
+    recBtn.title = recorder.active ? "Stop recording" : "Record this session (asciicast v2)";
+    dlBtn.disabled = playBtn.disabled = !pane.recording;
+  };
+
+  const stopRecording = () => {
+    clearInterval(timer);
+    timer = null;
+    const rec = recorder.stop();
+    if (rec) pane.recording = rec;
+    render();
+  };
+
+  recBtn.addEventListener("click", () => {
+    if (recorder.active) { stopRecording(); return; }
+    recorder.start();
+    timer = setInterval(render, 1000);
+    render();
+  });
+  dlBtn.addEventListener("click", () => pane.recording && downloadRecording(pane.recording));
+  playBtn.addEventListener("click", () => pane.recording && openReplayTab(globalIpn, pane.recording));
+
+  render();
+  return { el, stopRecording, dispose: stopRecording };
+}
+
+// ─── Terminal appearance ──────────────────────────────────────────────────────
+// Appearance comes in layers, least specific first: built-in defaults, the
+// user's settings, a per-host override (by device id) and a profile's
+// appearance.  A layer is a subset of xterm options (APPEARANCE_KEYS) whose
+// `theme` is a preset name or a partial palette over the layer below.
+//
+// pkg.js keeps the xterm instance to itself, so open terminals cannot take
+// new options.  Colors are the exception: the DOM renderer paints with
+// classes, and a generated stylesheet recolors each open pane.  For font,
+// cursor and scrollback changes the settings panel offers to reconnect the
+// sessions still using the old ones, which gives them a new terminal.
+
+const LS_APPEARANCE = "tailssh:appearance";
+const LS_HOST_APPEARANCE = "tailssh:appearance:hosts";
+
+const APPEARANCE_KEYS = {
+  fontFamily:    "string",
+  fontSize:      "number",
+  lineHeight:    "number",
+  letterSpacing: "number",
+  cursorStyle:   "string",
+  cursorBlink:   "boolean",
+  scrollback:    "number",
+  theme:         "object",
+};
+
+const APPEARANCE_RANGES = {
+  fontSize:      [6, 72],
+  lineHeight:    [1, 3],
+  letterSpacing: [-5, 20],
+  scrollback:    [0, 1000000],
+};
+
+const CURSOR_STYLES = ["block", "bar", "underline"];
+
+const ANSI_COLORS = [
+  "black", "red", "green", "yellow", "blue", "magenta", "cyan", "white",
+  "brightBlack", "brightRed", "brightGreen", "brightYellow",
+  "brightBlue", "brightMagenta", "brightCyan", "brightWhite",
+];
+const THEME_KEYS = new Set([
+  "background", "foreground", "cursor", "cursorAccent",
+  "selectionBackground", "selectionForeground", "selectionInactiveBackground",
+  ...ANSI_COLORS,
+]);
+// Colors end up in a stylesheet: hex, rgb()/hsl() and named colors only
+const COLOR_RE = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\([\d\s.,%]+\)|[a-z]+)$/i;
+
+const THEME_PRESETS = {
+  dark: {
+    label: "Dark (default)",
+    theme: {
+      background:          "#1c1c1e",
+      foreground:          "#f2f2f7",
+      cursor:              "#f2f2f7",
+      cursorAccent:        "#1c1c1e",
+      selectionBackground: "rgba(10,132,255,0.25)",
+      black:               "#48484a",
+      red:                 "#ff453a",
+      green:               "#30d158",
+      yellow:              "#ffd60a",
+      blue:                "#0a84ff",
+      magenta:             "#bf5af2",
+      cyan:                "#5ac8fa",
+      white:               "#aeaeb2",
+      brightBlack:         "#636366",
+      brightRed:           "#ff6961",
+      brightGreen:         "#34c759",
+      brightYellow:        "#ffd426",
+      brightBlue:          "#409cff",
+      brightMagenta:       "#da8fff",
+      brightCyan:          "#70d7ff",
+      brightWhite:         "#f2f2f7",
+    },
+  },
+  light: {
+    label: "Light",
+    theme: {
+      background:          "#ffffff",
+      foreground:          "#1f2328",
+      cursor:              "#1f2328",
+      cursorAccent:        "#ffffff",
+      selectionBackground: "rgba(9,105,218,0.2)",
+      black:               "#24292f",
+      red:                 "#cf222e",
+      green:               "#116329",
+      yellow:              "#4d2d00",
+      blue:                "#0969da",
+      magenta:             "#8250df",
+      cyan:                "#1b7c83",
+      white:               "#6e7781",
+      brightBlack:         "#57606a",
+      brightRed:           "#a40e26",
+      brightGreen:         "#1a7f37",
+      brightYellow:        "#633c01",
+      brightBlue:          "#218bff",
+      brightMagenta:       "#a475f9",
+      brightCyan:          "#3192aa",
+      brightWhite:         "#8c959f",
+    },
+  },
+  "solarized-dark": {
+    label: "Solarized Dark",
+    theme: {
+      background:          "#002b36",
+      foreground:          "#839496",
+      cursor:              "#93a1a1",
+      cursorAccent:        "#002b36",
+      selectionBackground: "rgba(147,161,161,0.25)",
+      black:               "#073642",
+      red:                 "#dc322f",
+      green:               "#859900",
+      yellow:              "#b58900",
+      blue:                "#268bd2",
+      magenta:             "#d33682",
+      cyan:                "#2aa198",
+      white:               "#eee8d5",
+      brightBlack:         "#002b36",
+      brightRed:           "#cb4b16",
+      brightGreen:         "#586e75",
+      brightYellow:        "#657b83",
+      brightBlue:          "#839496",
+      brightMagenta:       "#6c71c4",
+      brightCyan:          "#93a1a1",
+      brightWhite:         "#fdf6e3",
+    },
+  },
+  "solarized-light": {
+    label: "Solarized Light",
+    theme: {
+      background:          "#fdf6e3",
+      foreground:          "#657b83",
+      cursor:              "#586e75",
+      cursorAccent:        "#fdf6e3",
+      selectionBackground: "rgba(88,110,117,0.2)",
+      black:               "#073642",
+      red:                 "#dc322f",
+      green:               "#859900",
+      yellow:              "#b58900",
+      blue:                "#268bd2",
+      magenta:             "#d33682",
+      cyan:                "#2aa198",
+      white:               "#eee8d5",
+      brightBlack:         "#002b36",
+      brightRed:           "#cb4b16",
+      brightGreen:         "#586e75",
+      brightYellow:        "#657b83",
+      brightBlue:          "#839496",
+      brightMagenta:       "#6c71c4",
+      brightCyan:          "#93a1a1",
+      brightWhite:         "#fdf6e3",
+    },
+  },
+  "high-contrast": {
+    label: "High contrast",
+    theme: {
+      background:          "#000000",
+      foreground:          "#ffffff",
+      cursor:              "#ffff00",
+      cursorAccent:        "#000000",
+      selectionBackground: "rgba(255,255,255,0.4)",
+      black:               "#3a3a3a",
+      red:                 "#ff5555",
+      green:               "#55ff55",
+      yellow:              "#ffff55",
+      blue:                "#6ea8ff",
+      magenta:             "#ff55ff",
+      cyan:                "#55ffff",
+      white:               "#e0e0e0",
+      brightBlack:         "#9a9a9a",
+      brightRed:           "#ff8c8c",
+      brightGreen:         "#8cff8c",
+      brightYellow:        "#ffff8c",
+      brightBlue:          "#9cc4ff",
+      brightMagenta:       "#ff8cff",
+      brightCyan:          "#8cffff",
+      brightWhite:         "#ffffff",
+    },
+  },
+};
+
+const DEFAULT_APPEARANCE = {
+  fontFamily:  '"JetBrains Mono", "Cascadia Code", "Fira Code", monospace',
+  fontSize:    14,
+  lineHeight:  1.2,
+  cursorStyle: "block",
+  cursorBlink: true,
+  scrollback:  1000,
+  theme:       "dark",
+};
+
+/**
+ * Validate one appearance layer.  Returns the cleaned object (null if empty),
+ * or throws with a message naming the offending key.
+ */
+function sanitizeAppearance(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) throw new Error("appearance must be a JSON object");
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const type = APPEARANCE_KEYS[key];
+    if (!type) throw new Error(`unsupported appearance option "${key}"`);
+    if (key === "theme") {
+      out.theme = sanitizeTheme(v);
+      continue;
+    }
+    if (typeof v !== type) throw new Error(`appearance option "${key}" must be a ${type}`);
+    const range = APPEARANCE_RANGES[key];
+    if (range && !(v >= range[0] && v <= range[1])) {
+      throw new Error(`appearance option "${key}" must be between ${range[0]} and ${range[1]}`);
+    }
+    if (key === "cursorStyle" && !CURSOR_STYLES.includes(v)) {
+      throw new Error(`cursorStyle must be one of ${CURSOR_STYLES.join(", ")}`);
+    }
+    out[key] = v;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/** A preset name, or a palette of known keys with CSS color values. */
+function sanitizeTheme(v) {
+  if (typeof v === "string") {
+    if (!THEME_PRESETS[v]) throw new Error(`unknown theme "${v}" (one of ${Object.keys(THEME_PRESETS).join(", ")})`);
+    return v;
+  }
+  if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error("theme must be a preset name or an object");
+  const out = {};
+  for (const [k, c] of Object.entries(v)) {
+    if (!THEME_KEYS.has(k)) throw new Error(`unsupported theme color "${k}"`);
+    if (typeof c !== "string" || !COLOR_RE.test(c.trim())) throw new Error(`theme color "${k}" is not a color`);
+    out[k] = c.trim();
+  }
+  return out;
+}
+
+function readAppearance(key) {
+  try { return sanitizeAppearance(JSON.parse(localStorage.getItem(key) ?? "null")); } catch { return null; }
+}
+
+function writeAppearance(key, layer) {
+  try {
+    if (layer) localStorage.setItem(key, JSON.stringify(layer));
+    else       localStorage.removeItem(key);
+  } catch {}
+}
+
+/** @returns {Object<string, object>} overrides by device id */
+function loadHostAppearances() {
+  try {
+    const map = JSON.parse(localStorage.getItem(LS_HOST_APPEARANCE) ?? "{}");
+    const out = {};
+    for (const [id, layer] of Object.entries(map ?? {})) {
+      try { const clean = sanitizeAppearance(layer); if (clean) out[id] = clean; } catch {}
+    }
+    return out;
+  } catch {
+    return {};
+  }
+}
+
+function hostAppearance(deviceId) {
+  return deviceId ? loadHostAppearances()[deviceId] ?? null : null;
+}
+
+function setHostAppearance(deviceId, layer) {
+  const map = loadHostAppearances();
+  if (layer) map[deviceId] = layer;
+  else       delete map[deviceId];
+  try { localStorage.setItem(LS_HOST_APPEARANCE, JSON.stringify(map)); } catch {}
+}
+
+/** Merge appearance layers (nulls skipped) over the defaults into xterm options. */
+function resolveAppearance(...layers) {
+  const opts = {};
+  let theme = THEME_PRESETS.dark.theme;
+  for (const layer of [DEFAULT_APPEARANCE, ...layers]) {
+    if (!layer) continue;
+    const { theme: t, ...rest } = layer;
+    Object.assign(opts, rest);
+    if (typeof t === "string") theme = THEME_PRESETS[t]?.theme ?? theme;
+    else if (t) theme = { ...theme, ...t };
+  }
+  return { ...opts, theme };
+}
+
+/** The preset a stack of layers ends up on, or "custom" for a palette. */
+function resolveThemeName(...layers) {
+  let name = DEFAULT_APPEARANCE.theme;
+  for (const layer of layers) {
+    if (typeof layer?.theme === "string") name = layer.theme;
+    else if (layer?.theme) name = "custom";
+  }
+  return name;
+}
+
+/**
+ * xterm options for a new terminal.
+ * @param {object} [appearance] — profile overrides
+ * @param {string} [deviceId]   — applies that host's override
+ */
+function xtermOptions(appearance, deviceId) {
+  return resolveAppearance(readAppearance(LS_APPEARANCE), hostAppearance(deviceId), appearance);
+}
+
+// ── Live updates ──
+
+// Options only a new terminal picks up; the theme goes through CSS
+const TERMINAL_OPTION_KEYS = ["fontFamily", "fontSize", "lineHeight", "letterSpacing", "cursorStyle", "cursorBlink", "scrollback"];
+
+/** Panes whose session runs with options that no longer match its appearance */
+let staleAppearancePanes = [];
+
+let liveThemeStyle = null;
+
+/** CSS that repaints the xterm DOM renderer under `scope` with `t`. */
+function themeCss(scope, t) {
+  const s = `${scope} .terminal-wrap`;
+  const rules = [
+    `${s}, ${s} .xterm .xterm-viewport, ${s} .xterm .xterm-rows { background-color: ${t.background} !important; color: ${t.foreground} !important; }`,
+    `${s} .xterm .xterm-rows.xterm-focus .xterm-cursor.xterm-cursor-block { background-color: ${t.cursor} !important; color: ${t.cursorAccent ?? t.background} !important; }`,
+    `${s} .xterm .xterm-rows:not(.xterm-focus) .xterm-cursor.xterm-cursor-block { outline: 1px solid ${t.cursor} !important; }`,
+    `${s} .xterm .xterm-cursor.xterm-cursor-bar { box-shadow: 1px 0 0 ${t.cursor} inset !important; }`,
+    `${s} .xterm .xterm-cursor.xterm-cursor-underline { box-shadow: 0 -1px 0 ${t.cursor} inset !important; }`,
+  ];
+  if (t.selectionBackground) {
+    rules.push(`${s} .xterm .xterm-selection div { background-color: ${t.selectionBackground} !important; }`);
+  }
+  ANSI_COLORS.forEach((name, i) => {
+    if (!t[name]) return;
+    rules.push(`${s} .xterm .xterm-fg-${i} { color: ${t[name]} !important; }`);
+    rules.push(`${s} .xterm .xterm-bg-${i} { background-color: ${t[name]} !important; }`);
+  });
+  return rules.join("\n");
+}
+
+/**
+ * Recolor every open terminal to its current appearance and note the
+ * sessions whose other options are out of date.  Runs after a settings
+ * change, and for each new session once any change has been made.
+ */
+function applyLiveAppearance() {
+  if (!liveThemeStyle) {
+    liveThemeStyle = document.createElement("style");
+    document.head.appendChild(liveThemeStyle);
+  }
+  const user = readAppearance(LS_APPEARANCE);
+  const hosts = loadHostAppearances();
+  const css = [];
+  staleAppearancePanes = [];
+  for (const tab of tabs) {
+    for (const pane of allPanes(tab.layout)) {
+      if (!pane.el.querySelector(".xterm")) continue;
+      const t = pane.target;
+      const opts = resolveAppearance(user, t ? hosts[t.device.id] : null, t?.appearance);
+      css.push(themeCss(`.split-pane[data-pane-id="${pane.id}"]`, opts.theme));
+      const started = pane.session?.options;
+      if (started && TERMINAL_OPTION_KEYS.some(k => started[k] !== opts[k])) staleAppearancePanes.push(pane);
+    }
+  }
+  liveThemeStyle.textContent = css.join("\n");
+  renderSettingsReconnect();
+}
+
+function renderSettingsReconnect() {
+  const n = staleAppearancePanes.length;
+  settingsReconnect.classList.toggle("hidden", n === 0);
+  settingsReconnectText.textContent =
+    `${n} open session${n === 1 ? " uses" : "s use"} the previous font, cursor or scrollback settings.`;
+}
+
+/** Reconnect the sessions noted by applyLiveAppearance() with a new terminal. */
+function reconnectStaleAppearance() {
+  for (const pane of staleAppearancePanes) {
+    if (!pane.session || !pane.target) continue;
+    disposePaneContent(pane, "reconnected to apply appearance");
+    startSession(pane, pane.target, globalIpn);
+  }
+  applyLiveAppearance();
+}
+
+// ── Settings panel ──
+
+/** Device the panel was opened for ({ deviceId, name }), offering host scope */
+let settingsHost = null;
+
+/** @param {{deviceId:string, name:string}} [host] */
+function openSettingsPanel(host) {
+  closeDeviceDrawer();
+  closeShortcutsPanel();
+  closeInspector();
+  settingsHost = host ?? null;
+
+  settingsScope.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "all";
+  all.textContent = "All terminals";
+  settingsScope.appendChild(all);
+  if (settingsHost) {
+    const one = document.createElement("option");
+    one.value = "host";
+    one.textContent = `This host (${settingsHost.name})`;
+    settingsScope.appendChild(one);
+    settingsScope.value = hostAppearance(settingsHost.deviceId) ? "host" : "all";
+  }
+  settingsScope.disabled = !settingsHost;
+
+  fillSettingsForm();
+  settingsDrawer.classList.remove("hidden");
+}
+
+function closeSettingsPanel() {
+  settingsDrawer.classList.add("hidden");
+}
+
+/** Layers below and at the scope being edited. */
+function settingsLayers() {
+  const user = readAppearance(LS_APPEARANCE);
+  return settingsScope.value === "host" ? [user, hostAppearance(settingsHost.deviceId)] : [user];
+}
+
+function fillSettingsForm() {
+  const layers = settingsLayers();
+  const eff = resolveAppearance(...layers);
+  const themeName = resolveThemeName(...layers);
+
+  settingsTheme.innerHTML = "";
+  for (const [name, preset] of Object.entries(THEME_PRESETS)) {
+    settingsTheme.appendChild(new Option(preset.label, name));
+  }
+  settingsTheme.appendChild(new Option("Custom (JSON)", "custom"));
+  settingsTheme.value = themeName;
+  settingsCustomTheme.value = JSON.stringify(eff.theme, null, 2);
+  settingsCustomTheme.classList.toggle("hidden", themeName !== "custom");
+
+  settingsFontFamily.value  = eff.fontFamily;
+  settingsFontSize.value    = eff.fontSize;
+  settingsLineHeight.value  = eff.lineHeight;
+  settingsCursorStyle.value = eff.cursorStyle;
+  settingsCursorBlink.checked = eff.cursorBlink;
+  settingsScrollback.value  = eff.scrollback;
+  settingsError.textContent = "";
+}
+
+/** The form as an appearance layer; throws on invalid input. */
+function readSettingsForm() {
+  let theme = settingsTheme.value;
+  if (theme === "custom") {
+    try {
+      theme = JSON.parse(settingsCustomTheme.value);
+    } catch {
+      throw new Error("custom theme is not valid JSON");
+    }
+  }
+  return sanitizeAppearance({
+    fontFamily:  settingsFontFamily.value.trim() || DEFAULT_APPEARANCE.fontFamily,
+    fontSize:    Number(settingsFontSize.value),
+    lineHeight:  Number(settingsLineHeight.value),
+    cursorStyle: settingsCursorStyle.value,
+    cursorBlink: settingsCursorBlink.checked,
+    scrollback:  Number(settingsScrollback.value),
+    theme,
+  });
+}
+
+function saveSettingsForm() {
+  let layer;
+  try {
+    layer = readSettingsForm();
+  } catch (err) {
+    settingsError.textContent = err.message;
+    return;
+  }
+  settingsError.textContent = "";
+  if (settingsScope.value === "host") setHostAppearance(settingsHost.deviceId, layer);
+  else writeAppearance(LS_APPEARANCE, layer);
+  applyLiveAppearance();
+}
+
+settingsTheme.addEventListener("change", () => {
+  const custom = settingsTheme.value === "custom";
+  if (!custom) {
+    // Keep the JSON on the chosen preset: the starting point for a custom one
+    settingsCustomTheme.value = JSON.stringify(THEME_PRESETS[settingsTheme.value].theme, null, 2);
+  }
+  settingsCustomTheme.classList.toggle("hidden", !custom);
+});
+// The inputs' limits come from the table sanitizeAppearance() enforces
+for (const [input, key] of [
+  [settingsFontSize, "fontSize"], [settingsLineHeight, "lineHeight"], [settingsScrollback, "scrollback"],
+]) {
+  [input.min, input.max] = APPEARANCE_RANGES[key].map(String);
+}
+
+settingsScope.addEventListener("change", fillSettingsForm);
+settingsReconnectBtn.addEventListener("click", reconnectStaleAppearance);
+settingsForm.addEventListener("input", (e) => {
+  if (e.target !== settingsScope) saveSettingsForm();
+});
+settingsForm.addEventListener("submit", (e) => e.preventDefault());
+settingsResetBtn.addEventListener("click", () => {
+  if (settingsScope.value === "host") setHostAppearance(settingsHost.deviceId, null);
+  else writeAppearance(LS_APPEARANCE, null);
+  fillSettingsForm();
+  applyLiveAppearance();
+});
+settingsBtn.addEventListener("click", () => {
+  if (settingsDrawer.classList.contains("hidden")) openSettingsPanel();
+  else closeSettingsPanel();
+});
+settingsDrawerClose.addEventListener("click", closeSettingsPanel);
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !settingsDrawer.classList.contains("hidden")) closeSettingsPanel();
+});
+
+// ─── Deep links ───────────────────────────────────────────────────────────────
+// The Worker serves index.html for any path, so sessions can be linked to:
+//   /ssh/root@web-1                 one session
+//   /ssh/root@web-1,deploy@web-2    one tab per host
+//   /?host=web-1&user=deploy        `host` may repeat or hold a comma list;
+//                                   `user` applies to hosts without one
+// A host without a user opens the username prompt.  Links are read once at
+// load and opened after the node first reaches Running, once the user has
+// confirmed them — any site can link here, so a link alone never connects.
+
+/** @returns {Array<{host:string, user:string|null}>} */
+function parseDeepLinks(loc) {
+  const specs = [];
+  const path = loc.pathname.match(/^\/ssh\/(.+)$/);
+  if (path) {
+    for (const part of path[1].split(",")) {
+      try { specs.push(decodeURIComponent(part)); } catch {}
+    }
+  }
+  const params = new URLSearchParams(loc.search);
+  const defaultUser = params.get("user")?.trim() || null;
+  for (const h of params.getAll("host")) specs.push(...h.split(","));
+
+  return specs.map(spec => spec.trim()).filter(Boolean).map((spec) => {
+    const at = spec.lastIndexOf("@");
+    return at > 0
+      ? { host: spec.slice(at + 1), user: spec.slice(0, at) }
+      : { host: spec.replace(/^@/, ""), user: defaultUser };
+  }).filter(link => link.host);
+}
+
+const pendingDeepLinks = parseDeepLinks(location);
+
+/** Match a link's host against a device's names, addresses or id. */
+function findDeviceByHost(devices, host) {
+  const h = host.toLowerCase();
+  return devices.find(d => [
+    d.displayName, d.hostname, d.name, d.name?.split(".")[0], d.id, ...(d.addresses ?? []),
+  ].some(v => v?.toLowerCase() === h)) ?? null;
+}
+
+/**
+ * Open a session for every link after asking the user to confirm them.  The
+ * first one reuses the fresh picker tab; hosts that cannot be reached are
+ * reported together at the end.
+ */
+async function openDeepLinks(ipn, links) {
+  // Don't reopen the sessions on reload
+  history.replaceState(null, "", "/");
+
+  let devices;
+  try {
+    devices = await fetchLiveDevices();
+  } catch (err) {
+    alert(`Could not open the linked session: ${err.message}`);
+    return;
+  }
+
+  const problems = [];
+  const targets = [];
+  for (const link of links) {
+    const device = findDeviceByHost(devices, link.host);
+    if (!device) { problems.push(`${link.host}: no such device`); continue; }
+    if (!canConnectTo(device)) {
+      problems.push(`${link.host}: ${device.online ? "Tailscale SSH not enabled" : "offline"}`);
+      continue;
+    }
+    targets.push({ link, device });
+  }
+
+  if (targets.length && !confirm(deepLinkPrompt(targets))) return;
+
+  let firstTab = null;
+  for (const { link, device } of targets) {
+    const tab = !firstTab && tabs.length === 1 && isIdleTab(tabs[0]) ? tabs[0] : createTab(ipn);
+    firstTab ??= tab;
+
+    const { addr, displayName } = deviceTarget(device);
+    if (link.user) startSession(tab.focusedPane, { device, addr, displayName, user: link.user }, ipn);
+    else await openSession(tab.focusedPane, device, addr, displayName, ipn);
+  }
+
+  if (firstTab) activateTab(firstTab.id);
+  if (problems.length) alert(`Could not open:\n${problems.join("\n")}`);
+}
+
+/** The confirm text for a set of linked sessions, naming the linking site. */
+function deepLinkPrompt(targets) {
+  let from = null;
+  try {
+    const ref = document.referrer && new URL(document.referrer);
+    if (ref && ref.origin !== location.origin) from = ref.host;
+  } catch {}
+
+  const lines = targets.map(({ link, device }) =>
+    `  ${link.user ? `${link.user}@` : ""}${deviceTarget(device).displayName}`);
+  return `${from ? `A link from ${from}` : "This link"} wants to open SSH session${targets.length === 1 ? "" : "s"} to:\n`
+    + `${lines.join("\n")}\n\nConnect?`;
+}
+
+// ─── Workspace restore ────────────────────────────────────────────────────────
+// The tab list is saved to sessionStorage whenever it changes, so a reload of
+// this browser tab can bring it back: tab order, the active tab, split layouts
+// and each pane's target device (by id), username, label and profile
+// settings.  Replays, batch runs and pickers come back as pickers.  Logging
+// out does not overwrite the snapshot, so it is also offered after logging
+// back in.
+
+const SS_WORKSPACE = "tailssh:workspace";
+const LS_AUTO_RESTORE = "tailssh:autoRestore";
+
+let workspaceSaveTimer = null;
+// Set while the restore banner is up: the fresh tab opened on Running would
+// otherwise overwrite the snapshot being offered, and a second reload before
+// answering would lose it.
+let workspaceSavesHeld = false;
+/** Hides the restore banner, if one is up; see offerWorkspaceRestore(). */
+let closeRestoreOffer = null;
+
+/** Coalesce the many changes of one user action into one write. */
+function scheduleWorkspaceSave() {
+  if (workspaceSaveTimer !== null) return;
+  workspaceSaveTimer = setTimeout(() => {
+    workspaceSaveTimer = null;
+    saveWorkspace();
+  }, 100);
+}
+
+function serializeLayout(node) {
+  if (node.type === "split") {
+    return { type: "split", dir: node.dir, sizes: [...node.sizes], children: node.children.map(serializeLayout) };
+  }
+  const t = node.target;
+  if (!t) return { type: "pane" };
+  return {
+    type:           "pane",
+    deviceId:       t.device.id,
+    deviceName:     t.displayName,
+    user:           t.user,
+    label:          t.label,
+    startupCommand: t.startupCommand,
+    appearance:     t.appearance,
+  };
+}
+
+function saveWorkspace() {
+  // Nothing to save while logged out; keep the last snapshot for re-login
+  if (!tabs.length || workspaceSavesHeld) return;
+  const snapshot = {
+    version:     1,
+    tailnet:     currentTailnet,
+    savedAt:     Date.now(),
+    activeIndex: Math.max(0, tabs.findIndex(t => t.id === activeTabId)),
+    tabs:        tabs.map(t => ({ layout: serializeLayout(t.layout) })),
+  };
+  try { sessionStorage.setItem(SS_WORKSPACE, JSON.stringify(snapshot)); } catch {}
+}
+
+/** The saved workspace for the current tailnet, if it holds any session. */
+function loadWorkspace() {
+  let snapshot;
+  try { snapshot = JSON.parse(sessionStorage.getItem(SS_WORKSPACE) ?? "null"); } catch { return null; }
+  if (snapshot?.version !== 1 || !Array.isArray(snapshot.tabs) || snapshot.tailnet !== currentTailnet) return null;
+  const sessions = snapshot.tabs.reduce((n, t) => n + countSavedSessions(t?.layout), 0);
+  return sessions ? { ...snapshot, sessions } : null;
+}
+
+function countSavedSessions(node) {
+  if (node?.type === "split" && Array.isArray(node.children)) {
+    return node.children.reduce((n, c) => n + countSavedSessions(c), 0);
+  }
+  return node?.type === "pane" && node.deviceId ? 1 : 0;
+}
+
+/**
+ * Rebuild a saved layout node for `tab`, collecting the new panes with what
+ * they should reconnect to.  Malformed splits fall back to a single pane.
+ */
+function restoreLayout(tab, node, restored) {
+  if (node?.type === "split" && (node.dir === "row" || node.dir === "column") &&
+      Array.isArray(node.children) && node.children.length >= 2) {
+    return {
+      type: "split",
+      dir: node.dir,
+      children: node.children.map(c => restoreLayout(tab, c, restored)),
+      sizes: node.children.map((_, i) => (Number(node.sizes?.[i]) > 0 ? Number(node.sizes[i]) : 1)),
+    };
+  }
+  const pane = createPane(tab);
+  restored.push({ pane, saved: node?.type === "pane" ? node : {} });
+  return pane;
+}
+
+/** Reopen every saved tab and reconnect its sessions. */
+async function restoreWorkspace(ipn, snapshot) {
+  let devices = [];
+  try {
+    devices = await fetchDevices();
+  } catch (err) {
+    console.warn("[workspace] device list unavailable:", err.message);
+  }
+  const byId = new Map(devices.map(d => [d.id, d]));
+
+  // The fresh picker tab opened on Running makes way for the restored ones
+  const placeholder = tabs.length === 1 && isIdleTab(tabs[0]) ? tabs[0] : null;
+  const missing = [];
+  const restoredTabs = [];
+
+  for (const savedTab of snapshot.tabs) {
+    const tab = createTab(ipn, { loadContent() {} });
+    const restored = [];
+    tab.layout = restoreLayout(tab, savedTab?.layout, restored);
+    tab.focusedPane = allPanes(tab.layout)[0];
+    renderLayout(tab);
+
+    for (const { pane, saved } of restored) {
+      const device = saved.deviceId ? byId.get(saved.deviceId) : null;
+      if (!device || typeof saved.user !== "string" || !saved.user) {
+        if (saved.deviceId) missing.push(saved.deviceName || saved.deviceId);
+        loadPicker(pane, ipn).catch(err => console.error("[loadPicker]", err));
+        continue;
+      }
+      let appearance;
+      try { appearance = sanitizeAppearance(saved.appearance) ?? undefined; } catch {}
+      // Offline devices still get a session: it ends on the reconnect screen
+      startSession(pane, {
+        ...deviceTarget(device),
+        user:           saved.user,
+        label:          typeof saved.label === "string" ? saved.label : undefined,
+        startupCommand: typeof saved.startupCommand === "string" ? saved.startupCommand : undefined,
+        appearance,
+      }, ipn);
+    }
+    restoredTabs.push(tab);
+  }
+
+  if (placeholder) closeTab(placeholder.id);
+  const active = restoredTabs[snapshot.activeIndex] ?? restoredTabs[0];
+  if (active) activateTab(active.id);
+  if (missing.length) alert(`Not restored (device not found): ${missing.join(", ")}`);
+}
+
+function getAutoRestore() {
+  try { return localStorage.getItem(LS_AUTO_RESTORE) === "1"; } catch { return false; }
+}
+
+function setAutoRestore(on) {
+  try {
+    if (on) localStorage.setItem(LS_AUTO_RESTORE, "1");
+    else    localStorage.removeItem(LS_AUTO_RESTORE);
+  } catch {}
+}
+
+/** Restore right away if the user opted in, otherwise ask with a banner. */
+function offerWorkspaceRestore(ipn, snapshot) {
+  // A banner left up across a logout is superseded by this one
+  closeRestoreOffer?.();
+  const run = () => restoreWorkspace(ipn, snapshot).catch(err => console.error("[workspace]", err));
+  if (getAutoRestore()) { run(); return; }
+
+  const n = snapshot.tabs.length;
+  restoreBannerText.textContent =
+    `Restore ${n} tab${n === 1 ? "" : "s"} (${snapshot.sessions} session${snapshot.sessions === 1 ? "" : "s"}) ` +
+    `from ${relativeTime(new Date(snapshot.savedAt).toISOString())}?`;
+  restoreAutoInput.checked = false;
+  restoreBanner.classList.remove("hidden");
+  workspaceSavesHeld = true;
+
+  const close = () => {
+    restoreBanner.classList.add("hidden");
+    restoreBtn.removeEventListener("click", onRestore);
+    restoreDismissBtn.removeEventListener("click", onDismiss);
+    workspaceSavesHeld = false;
+    closeRestoreOffer = null;
+  };
+  closeRestoreOffer = close;
+  const onRestore = () => {
+    setAutoRestore(restoreAutoInput.checked);
+    close();
+    run();
+  };
+  const onDismiss = () => {
+    close();
+    // The offered snapshot is declined; record what is open now instead
+    scheduleWorkspaceSave();
+  };
+  restoreBtn.addEventListener("click", onRestore);
+  restoreDismissBtn.addEventListener("click", onDismiss);
+}
+
+// ─── Network inspector ────────────────────────────────────────────────────────
+// Diagnostics for "TailSSH can't reach box X" without DevTools: the browser
+// node's identity, its IPN state history, the peers in its netmap, and a
+// sanitized debug bundle to paste into a ticket.  The node's preferred DERP
+// region comes from its own device record (GET /api/devices/:id); the
+// browser client's netmap carries no direct/relayed paths or handshakes, so
+// those are shown as not reported.
+
+const TIMELINE_MAX = 200;
+
+/** @type {Array<{at:number, event:string, detail:string}>} oldest first */
+const ipnTimeline = [];
+let lastNetmapSummary = null;
+
+function recordTimeline(event, detail) {
+  ipnTimeline.push({ at: Date.now(), event, detail });
+  if (ipnTimeline.length > TIMELINE_MAX) ipnTimeline.splice(0, ipnTimeline.length - TIMELINE_MAX);
+  if (!inspectorDrawer.classList.contains("hidden")) renderInspector();
+}
+
+function recordNetmapTimeline(nm) {
+  const peers = visiblePeers();
+  const online = peers?.filter(p => p.online).length;
+  const summary = (peers ? `${peers.length} peer${peers.length === 1 ? "" : "s"}, ${online} online` : "updated") +
+    (nm.lockedOut ? ", locked out by tailnet lock" : "");
+  if (summary === lastNetmapSummary) return;
+  lastNetmapSummary = summary;
+  recordTimeline("netmap", summary);
+}
+
+/**
+ * The netmap peers this user may see: those in the device list, which the
+ * Worker has already filtered by the device policy.  The netmap itself is
+ * unfiltered, so peers the policy hides never reach the inspector or the
+ * bundle.  null until both the netmap and the device list are loaded.
+ */
+function visiblePeers() {
+  const devices = deviceCache.get(currentTailnet ?? "")?.devices;
+  if (!netmap || !devices) return null;
+  const listed = new Set(devices.flatMap(d => d.addresses ?? []));
+  return netmap.peers.filter(p => (p.addresses ?? []).some(a => listed.has(a)));
+}
+
+/** "nodekey:1a2b3c4d…" — enough to correlate with the admin console. */
+function shortKey(key) {
+  if (!key) return null;
+  const [prefix, hex] = key.includes(":") ? key.split(":", 2) : ["", key];
+  return `${prefix ? `${prefix}:` : ""}${hex.slice(0, 8)}…`;
+}
+
+/** A netmap node without its full keys. */
+function sanitizeNode(node) {
+  if (!node) return null;
+  return {
+    name:                node.name,
+    addresses:           node.addresses ?? [],
+    nodeKey:             shortKey(node.nodeKey),
+    online:              node.online ?? null,
+    tailscaleSSHEnabled: node.tailscaleSSHEnabled,
+    machineStatus:       node.machineStatus,
+  };
+}
+
+/**
+ * The browser node's preferred DERP region as { region, latencyMs }, with
+ * `region` null when its record has none (or the device policy hides it).
+ * null until loaded; see loadSelfDerp().
+ */
+let selfDerp = null;
+
+/** Look the browser node up in the device list by address and read its DERP latency. */
+async function loadSelfDerp() {
+  const addrs = netmap?.self?.addresses ?? [];
+  if (!addrs.length) return;
+  const device = (await fetchDevices()).find(d => (d.addresses ?? []).some(a => addrs.includes(a)));
+  let region = null;
+  let latencyMs = null;
+  if (device) {
+    const detail = await fetchDeviceDetail(device.id);
+    const preferred = Object.entries(detail.clientConnectivity?.latency ?? {}).find(([, l]) => l.preferred);
+    if (preferred) {
+      region = preferred[0];
+      latencyMs = preferred[1].latencyMs ?? null;
+    }
+  }
+  selfDerp = { region, latencyMs };
+}
+
+function formatSelfDerp() {
+  if (!selfDerp) return "loading…";
+  if (!selfDerp.region) return "not reported";
+  return `${selfDerp.region}${selfDerp.latencyMs != null ? ` (${selfDerp.latencyMs.toFixed(1)} ms)` : ""}`;
+}
+
+function debugBundle() {
+  return {
+    generatedAt: new Date().toISOString(),
+    userAgent:   navigator.userAgent,
+    tailnet:     currentTailnet,
+    ipnState:    ipnTimeline.filter(e => e.event === "state").at(-1)?.detail ?? null,
+    self:        sanitizeNode(netmap?.self),
+    derp:        selfDerp,
+    lockedOut:   netmap?.lockedOut ?? false,
+    peers:       visiblePeers()?.map(sanitizeNode) ?? null,
+    timeline:    ipnTimeline.map(e => ({ ...e, at: new Date(e.at).toISOString() })),
+  };
+}
+
+function openInspector() {
+  closeDeviceDrawer();
+  closeSettingsPanel();
+  closeShortcutsPanel();
+  inspectorMsg.textContent = "";
+  renderInspector();
+  inspectorDrawer.classList.remove("hidden");
+  // Peers are only listed once the device list says which ones are visible,
+  // and the DERP region is re-read since it can change at any time
+  loadSelfDerp().then(() => {
+    if (!inspectorDrawer.classList.contains("hidden")) renderInspector();
+  }).catch(err => { inspectorMsg.textContent = `Could not load the device list: ${err.message}`; });
+}
+
+function closeInspector() {
+  inspectorDrawer.classList.add("hidden");
+}
+
+function renderInspector() {
+  inspectorBody.innerHTML = "";
+  const self = netmap?.self;
+  const state = ipnTimeline.filter(e => e.event === "state").at(-1)?.detail ?? "unknown";
+
+  addDrawerSection("This browser", [
+    ["Name",      self?.name?.replace(/\.$/, "") || "—"],
+    ["Addresses", self?.addresses?.join("\n") || "—"],
+    ["Node key",  shortKey(self?.nodeKey) ?? "—"],
+    ["Tailnet",   tailnets.find(t => t.name === currentTailnet)?.label ?? currentTailnet ?? "default"],
+    ["IPN state", state],
+    ["DERP region", formatSelfDerp()],
+    ...(netmap?.lockedOut ? [["Tailnet lock", "locked out"]] : []),
+  ], inspectorBody);
+
+  const peersSection = document.createElement("section");
+  peersSection.className = "drawer-section";
+  const visible = visiblePeers();
+  const h3 = document.createElement("h3");
+  h3.textContent = visible ? `Peers (${visible.length})` : "Peers";
+  peersSection.appendChild(h3);
+  if (!visible) {
+    const p = document.createElement("p");
+    p.className = "drawer-muted";
+    p.textContent = netmap ? "Loading the device list…" : "No network map yet.";
+    peersSection.appendChild(p);
+  } else {
+    const table = document.createElement("table");
+    table.className = "inspector-table";
+    const head = table.createTHead().insertRow();
+    for (const label of ["Name", "Address", "Status", "SSH"]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    const peers = visible.sort((a, b) =>
+      (b.online === true) - (a.online === true) || (a.name ?? "").localeCompare(b.name ?? ""));
+    for (const peer of peers) {
+      const row = body.insertRow();
+      row.insertCell().textContent = (peer.name ?? "").replace(/\.$/, "").split(".")[0] || "—";
+      row.insertCell().textContent = peer.addresses?.find(a => !a.includes(":")) ?? peer.addresses?.[0] ?? "—";
+      const status = row.insertCell();
+      status.textContent = peer.online === true ? "online" : peer.online === false ? "offline" : "unknown";
+      status.className = `inspector-${status.textContent}`;
+      row.insertCell().textContent = peer.tailscaleSSHEnabled ? "yes" : "no";
+    }
+    peersSection.appendChild(table);
+    const note = document.createElement("p");
+    note.className = "drawer-muted";
+    note.textContent = "Only devices in your device list are shown. " +
+      "Direct or relayed paths and last handshakes are not reported by the browser client.";
+    peersSection.appendChild(note);
+  }
+  inspectorBody.appendChild(peersSection);
+
+  addDrawerSection("Timeline", ipnTimeline.slice().reverse().map(e =>
+    [new Date(e.at).toLocaleTimeString(), e.event === "state" ? `state → ${e.detail}` : `${e.event}: ${e.detail}`]
+  ), inspectorBody);
+}
+
+inspectorCopyBtn.addEventListener("click", async () => {
+  const text = JSON.stringify(debugBundle(), null, 2);
+  try {
+    await navigator.clipboard.writeText(text);
+    inspectorMsg.textContent = "Debug bundle copied. Full node and machine keys are left out.";
+  } catch {
+    saveFile(`tailssh-debug-${fileStamp(Date.now())}.json`, text, "application/json");
+    inspectorMsg.textContent = "Clipboard unavailable — the bundle was downloaded instead.";
+  }
+});
+inspectorBtn.addEventListener("click", () => {
+  if (inspectorDrawer.classList.contains("hidden")) openInspector();
+  else closeInspector();
+});
+inspectorDrawerClose.addEventListener("click", closeInspector);
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !inspectorDrawer.classList.contains("hidden")) closeInspector();
+});
+onNetmapChange(() => {
+  if (!inspectorDrawer.classList.contains("hidden")) renderInspector();
+});
+
+// ─── Keyboard shortcuts ───────────────────────────────────────────────────────
+// Every shortcut is an entry in SHORTCUT_ACTIONS with a rebindable combo,
+// written "Alt+Shift+T": modifiers in Ctrl, Alt, Shift, Meta order, then the
+// key named by its physical position (KeyboardEvent.code), so keyboard
+// layouts and Alt-composed characters don't change what matches.
+//
+// A focused terminal owns every combo it turns into input: Ctrl+letter
+// (Ctrl+K is kill-line in a shell) and anything with Alt, which xterm sends
+// as an ESC prefix that readline and editors bind almost everywhere
+// (Alt+Shift+T is transpose-words, Alt+Shift+, beginning-of-history).  So the
+// Alt+Shift defaults and the palette's Ctrl+K only fire outside a terminal —
+// the tab bar, pickers, the rest of the page — and combos with Meta (Cmd+K
+// on a Mac) fire everywhere; see terminalOwnsCombo().
+// Overrides are saved in localStorage; one capture-phase listener dispatches.
+
+const LS_SHORTCUTS = "tailssh:shortcuts";
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+
+const focusedPane = () => getTab(activeTabId)?.focusedPane ?? null;
+const hasPane = () => !!focusedPane();
+
+/** @type {Object<string, {label:string, keys:string, run:Function, when?:Function}>} */
+const SHORTCUT_ACTIONS = Object.fromEntries([
+  ["palette",      { label: "Command palette", keys: IS_MAC ? "Meta+K" : "Ctrl+K", run: () => openPalette() }],
+  ["newTab",       { label: "New tab", keys: "Alt+Shift+T", run: () => createTab(globalIpn) }],
+  ["closeTab",     { label: "Close tab", keys: "Alt+Shift+X", when: () => !!getTab(activeTabId), run: () => closeTab(activeTabId) }],
+  ["nextTab",      { label: "Next tab", keys: "Alt+Shift+]", when: () => tabs.length > 1, run: () => cycleTab(1) }],
+  ["prevTab",      { label: "Previous tab", keys: "Alt+Shift+[", when: () => tabs.length > 1, run: () => cycleTab(-1) }],
+  ["moveTabLeft",  { label: "Move tab left", keys: "Alt+Shift+,", when: () => tabs.length > 1, run: () => moveTab(activeTabId, -1) }],
+  ["moveTabRight", { label: "Move tab right", keys: "Alt+Shift+.", when: () => tabs.length > 1, run: () => moveTab(activeTabId, 1) }],
+  ...[1, 2, 3, 4, 5, 6, 7, 8].map(n => [`jumpTab${n}`, {
+    label: `Go to tab ${n}`, keys: `Alt+Shift+${n}`,
+    when: () => tabs.length >= n, run: () => activateTab(tabs[n - 1].id),
+  }]),
+  ["jumpTabLast",  { label: "Go to last tab", keys: "Alt+Shift+9", when: () => tabs.length > 0, run: () => activateTab(tabs.at(-1).id) }],
+  ["splitRight",   { label: "Split pane right", keys: "Alt+Shift+\\", when: hasPane, run: () => splitPane(focusedPane(), "row", globalIpn) }],
+  ["splitDown",    { label: "Split pane down", keys: "Alt+Shift+-", when: hasPane, run: () => splitPane(focusedPane(), "column", globalIpn) }],
+  ["closePane",    { label: "Close pane", keys: "Alt+Shift+W", when: hasPane, run: () => closePane(focusedPane()) }],
+  ["focusLeft",    { label: "Focus pane left", keys: "Alt+Shift+Left", when: hasPane, run: () => focusPaneInDirection(getTab(activeTabId), "left") }],
+  ["focusRight",   { label: "Focus pane right", keys: "Alt+Shift+Right", when: hasPane, run: () => focusPaneInDirection(getTab(activeTabId), "right") }],
+  ["focusUp",      { label: "Focus pane above", keys: "Alt+Shift+Up", when: hasPane, run: () => focusPaneInDirection(getTab(activeTabId), "up") }],
+  ["focusDown",    { label: "Focus pane below", keys: "Alt+Shift+Down", when: hasPane, run: () => focusPaneInDirection(getTab(activeTabId), "down") }],
+  ["linkPane",     {
+    label: "Link terminal for broadcast", keys: "Alt+Shift+L",
+    when: () => !!(focusedPane()?.session || focusedPane()?.endedScreen),
+    run: () => setPaneLinked(focusedPane(), !broadcastPanes.has(focusedPane())),
+  }],
+  ["toggleBroadcast", { label: "Pause or resume broadcast", keys: "Alt+Shift+B", when: () => broadcastPanes.size > 0, run: () => setBroadcastOn(!broadcastOn) }],
+]);
+
+const SHORTCUT_CODE_NAMES = {
+  BracketLeft: "[", BracketRight: "]", Comma: ",", Period: ".", Slash: "/",
+  Backslash: "\\", Minus: "-", Equal: "=", Semicolon: ";", Quote: "'", Backquote: "`",
+  ArrowLeft: "Left", ArrowRight: "Right", ArrowUp: "Up", ArrowDown: "Down",
+  Space: "Space", Enter: "Enter", Tab: "Tab", Home: "Home", End: "End",
+  PageUp: "PageUp", PageDown: "PageDown", Insert: "Insert", Delete: "Delete",
+};
+
+/** "Alt+Shift+T" for a keydown event, or null for a bare modifier press. */
+function comboFromEvent(e) {
+  const m = e.code.match(/^(?:Key|Digit|Numpad)([A-Z0-9])$/);
+  const key = m ? m[1] : SHORTCUT_CODE_NAMES[e.code] ?? (/^F\d{1,2}$/.test(e.code) ? e.code : null);
+  if (!key) return null;
+  const mods = [];
+  if (e.ctrlKey)  mods.push("Ctrl");
+  if (e.altKey)   mods.push("Alt");
+  if (e.shiftKey) mods.push("Shift");
+  if (e.metaKey)  mods.push("Meta");
+  return [...mods, key].join("+");
+}
+
+/** Current combo per action id; "" means unbound. */
+let shortcutBindings = loadShortcutBindings();
+
+function loadShortcutBindings() {
+  const bindings = Object.fromEntries(Object.entries(SHORTCUT_ACTIONS).map(([id, a]) => [id, a.keys]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_SHORTCUTS) ?? "{}");
+    for (const [id, keys] of Object.entries(saved)) {
+      if (id in bindings && typeof keys === "string") bindings[id] = keys;
+    }
+  } catch {}
+  return bindings;
+}
+
+/** Store only the combos that differ from the defaults. */
+function saveShortcutBindings() {
+  const changed = Object.fromEntries(
+    Object.entries(shortcutBindings).filter(([id, keys]) => keys !== SHORTCUT_ACTIONS[id].keys));
+  try {
+    if (Object.keys(changed).length) localStorage.setItem(LS_SHORTCUTS, JSON.stringify(changed));
+    else localStorage.removeItem(LS_SHORTCUTS);
+  } catch {}
+}
+
+function actionForCombo(combo) {
+  return Object.keys(shortcutBindings).find(id => shortcutBindings[id] === combo) ?? null;
+}
+
+/** " (Alt+Shift+T)" for use in a title, or "" if the action is unbound. */
+function shortcutHint(id) {
+  const keys = shortcutBindings[id];
+  return keys ? ` (${keys})` : "";
+}
+
+/** Refresh titles that mention a shortcut after the bindings change. */
+function applyShortcutHints() {
+  newTabBtn.title = `New tab${shortcutHint("newTab")}`;
+  paletteBtn.title = `Command palette${shortcutHint("palette")}`;
+  for (const tab of tabs) {
+    for (const pane of allPanes(tab.layout)) {
+      const [right, down, close] = pane.el.querySelectorAll(".split-controls button");
+      if (right) right.title = `Split right${shortcutHint("splitRight")}`;
+      if (down)  down.title  = `Split down${shortcutHint("splitDown")}`;
+      if (close) close.title = `Close pane${shortcutHint("closePane")}`;
+    }
+  }
+  renderBroadcast();
+}
+
+/** True when `combo` is input for the focused terminal rather than a shortcut. */
+function terminalOwnsCombo(e, combo) {
+  if (!(e.target instanceof Element && e.target.closest(".xterm")) || e.metaKey) return false;
+  return e.altKey || /^Ctrl\+[A-Z]$/.test(combo);
+}
+
+/** Called with every keydown while the editor waits for a new combo. */
+let shortcutCapture = null;
+
+window.addEventListener("keydown", (e) => {
+  if (shortcutCapture) { shortcutCapture(e); return; }
+  // Tabs only exist once the node is running; modals and the palette keep their keys
+  if (!globalIpn || document.querySelector(".overlay:not(.hidden)")) return;
+
+  const combo = comboFromEvent(e);
+  const id = combo && actionForCombo(combo);
+  if (!id) return;
+  if (terminalOwnsCombo(e, combo)) return;
+  const action = SHORTCUT_ACTIONS[id];
+  if (action.when && !action.when()) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  action.run();
+}, true);
+
+// ── Shortcut editor ──
+
+function openShortcutsPanel() {
+  closeDeviceDrawer();
+  closeSettingsPanel();
+  closeInspector();
+  shortcutsMsg.textContent = "";
+  renderShortcutsTable();
+  shortcutsDrawer.classList.remove("hidden");
+}
+
+function closeShortcutsPanel() {
+  shortcutCapture = null;
+  shortcutsDrawer.classList.add("hidden");
+}
+
+function renderShortcutsTable() {
+  shortcutsTable.innerHTML = "";
+  for (const [id, action] of Object.entries(SHORTCUT_ACTIONS)) {
+    const row = shortcutsTable.insertRow();
+    row.insertCell().textContent = action.label;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "shortcut-key";
+    btn.textContent = shortcutBindings[id] || "—";
+    btn.title = "Click, then press the new shortcut";
+    btn.addEventListener("click", () => captureShortcut(id));
+    row.insertCell().appendChild(btn);
+  }
+}
+
+/** Wait for the next key combo and bind it to `id`. */
+function captureShortcut(id) {
+  // Re-render first so a previous, abandoned capture shows its combo again
+  renderShortcutsTable();
+  const btn = shortcutsTable.querySelectorAll(".shortcut-key")[Object.keys(SHORTCUT_ACTIONS).indexOf(id)];
+  btn.textContent = "Press keys…";
+  btn.classList.add("capturing");
+  shortcutsMsg.textContent = "Backspace clears the shortcut, Escape cancels.";
+
+  shortcutCapture = (e) => {
+    if (["Shift", "Control", "Alt", "Meta", "AltGraph"].includes(e.key)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    shortcutCapture = null;
+    const label = SHORTCUT_ACTIONS[id].label;
+    const combo = comboFromEvent(e);
+
+    if (e.key === "Escape") {
+      shortcutsMsg.textContent = "";
+    } else if ((e.key === "Backspace" || e.key === "Delete") && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      shortcutBindings[id] = "";
+      shortcutsMsg.textContent = `“${label}” no longer has a shortcut.`;
+    } else if (!combo) {
+      shortcutsMsg.textContent = "That key can't be used for a shortcut.";
+    } else if (!e.ctrlKey && !e.altKey && !e.metaKey) {
+      shortcutsMsg.textContent = "Shortcuts need Ctrl, Alt or Meta so they don't get in the way of typing.";
+    } else {
+      const other = actionForCombo(combo);
+      if (other && other !== id) {
+        shortcutBindings[other] = "";
+        shortcutsMsg.textContent = `${combo} was used by “${SHORTCUT_ACTIONS[other].label}”, which is now unbound.`;
+      } else {
+        shortcutsMsg.textContent = "";
+      }
+      shortcutBindings[id] = combo;
+    }
+    saveShortcutBindings();
+    renderShortcutsTable();
+    applyShortcutHints();
+  };
+}
+
+shortcutsResetBtn.addEventListener("click", () => {
+  shortcutCapture = null;
+  for (const id of Object.keys(shortcutBindings)) shortcutBindings[id] = SHORTCUT_ACTIONS[id].keys;
+  saveShortcutBindings();
+  shortcutsMsg.textContent = "Shortcuts reset to the defaults.";
+  renderShortcutsTable();
+  applyShortcutHints();
+});
+shortcutsDrawerClose.addEventListener("click", closeShortcutsPanel);
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !shortcutsDrawer.classList.contains("hidden")) closeShortcutsPanel();
+});
+
+// ─── Command palette ──────────────────────────────────────────────────────────
+// Fuzzy search over actions, open tabs, saved profiles and the tailnet's
+// devices.  Items are rebuilt on every open; the device list comes from the
+// cache and is merged in once it arrives.
+
+const PALETTE_MAX_RESULTS = 50;
+
+/** Items for the current open: { kind, label, detail?, keys?, run } */
+let paletteItems = [];
+let paletteResults = [];
+let paletteIndex = 0;
+// Bumped on every open so a slow device fetch for an earlier one is dropped
+let paletteSeq = 0;
+
+/** The pane a palette connection should use: the focused picker, else a new tab. */
+function paletteTargetPane() {
+  const pane = focusedPane();
+  return pane && isIdlePane(pane) ? pane : createTab(globalIpn).focusedPane;
+}
+
+function paletteStaticItems() {
+  const items = [];
+  for (const tab of tabs) {
+    items.push({ kind: "Tab", label: tab.label, run: () => activateTab(tab.id) });
+  }
+  for (const [id, action] of Object.entries(SHORTCUT_ACTIONS)) {
+    if (id === "palette" || (action.when && !action.when())) continue;
+    items.push({ kind: "Action", label: action.label, keys: shortcutBindings[id], run: action.run });
+  }
+  items.push(
+    { kind: "Action", label: "Open recording…", run: () => pickCastFile(globalIpn) },
+    { kind: "Action", label: "Terminal appearance…", run: () => openSettingsPanel() },
+    { kind: "Action", label: "Keyboard shortcuts…", run: openShortcutsPanel },
+    { kind: "Action", label: "Network inspector…", run: openInspector },
+    { kind: "Action", label: "Import profiles…", run: importProfiles },
+    { kind: "Action", label: "Export profiles", run: exportProfiles },
+  );
+  for (const t of tailnets) {
+    if (t.name === currentTailnet) continue;
+    items.push({ kind: "Action", label: `Switch to tailnet ${t.label}`, run: () => switchTailnet(t.name) });
+  }
+  for (const profile of loadProfiles()) {
+    items.push({
+      kind: "Profile", label: profile.name, detail: `${profile.username}@${profile.deviceName}`,
+      run: () => connectProfile(paletteTargetPane(), profile, globalIpn)
+        .catch(err => console.error("[profiles]", err)),
+    });
+  }
+  return items;
+}
+
+function paletteDeviceItems(devices) {
+  return devices.filter(canConnectTo).map((device) => {
+    const { addr, displayName } = deviceTarget(device);
+    return {
+      kind: "Device", label: displayName, detail: [addr, device.os].filter(Boolean).join(" · "),
+      run: () => openSession(paletteTargetPane(), device, addr, displayName, globalIpn),
+    };
+  });
+}
+
+function openPalette() {
+  const seq = ++paletteSeq;
+  paletteItems = paletteStaticItems();
+  paletteInput.value = "";
+  paletteOverlay.classList.remove("hidden");
+  paletteInput.focus();
+  renderPalette();
+
+  fetchLiveDevices().then((devices) => {
+    if (seq !== paletteSeq || paletteOverlay.classList.contains("hidden")) return;
+    paletteItems.push(...paletteDeviceItems(devices));
+    renderPalette();
+  }).catch(err => console.warn("[palette] could not load devices:", err.message));
+}
+
+function closePalette() {
+  paletteSeq++;
+  paletteOverlay.classList.add("hidden");
+  const pane = focusedPane();
+  if (pane?.session) focusPaneInput(pane);
+}
+
+function renderPalette() {
+  const query = paletteInput.value.trim();
+  paletteResults = [];
+  for (const item of paletteItems) {
+    const onLabel = fuzzyMatch(query, item.label);
+    const onDetail = !onLabel && item.detail ? fuzzyMatch(query, item.detail) : null;
+    if (!onLabel && !onDetail) continue;
+    paletteResults.push({
+      item,
+      score: onLabel ? onLabel.score : onDetail.score - 10,
+      indices: onLabel?.indices ?? [],
+    });
+  }
+  // Without a query keep the natural order: tabs, actions, profiles, devices
+  if (query) paletteResults.sort((a, b) => b.score - a.score);
+  paletteResults = paletteResults.slice(0, PALETTE_MAX_RESULTS);
+  paletteIndex = 0;
+
+  paletteList.innerHTML = "";
+  if (!paletteResults.length) {
+    const empty = document.createElement("li");
+    empty.className = "palette-empty";
+    empty.textContent = "No matches";
+    paletteList.appendChild(empty);
+    return;
+  }
+  paletteResults.forEach(({ item, indices }, i) => {
+    const li = document.createElement("li");
+    li.className = "palette-item";
+    li.setAttribute("role", "option");
+
+    const kind = document.createElement("span");
+    kind.className = "palette-kind";
+    kind.textContent = item.kind;
+    const label = document.createElement("span");
+    label.className = "palette-label";
+    renderHighlighted(label, item.label, indices);
+    li.append(kind, label);
+    if (item.detail) {
+      const detail = document.createElement("span");
+      detail.className = "palette-detail";
+      detail.textContent = item.detail;
+      li.appendChild(detail);
+    }
+    if (item.keys) {
+      const keys = document.createElement("kbd");
+      keys.className = "palette-keys";
+      keys.textContent = item.keys;
+      li.appendChild(keys);
+    }
+    li.addEventListener("mousemove", () => { if (paletteIndex !== i) selectPaletteItem(i); });
+    li.addEventListener("click", () => runPaletteItem(i));
+    paletteList.appendChild(li);
+  });
+  selectPaletteItem(0);
+}
+
+function selectPaletteItem(i) {
+  paletteIndex = i;
+  paletteList.querySelectorAll(".palette-item").forEach((li, j) => {
+    li.classList.toggle("selected", j === i);
+    li.setAttribute("aria-selected", String(j === i));
+    if (j === i) li.scrollIntoView({ block: "nearest" });
+  });
+}
+
+function runPaletteItem(i) {
+  const result = paletteResults[i];
+  if (!result) return;
+  closePalette();
+  result.item.run();
+}
+
+paletteInput.addEventListener("input", renderPalette);
+paletteInput.addEventListener("keydown", (e) => {
+  const n = paletteResults.length;
+  if (e.key === "ArrowDown" && n)      selectPaletteItem((paletteIndex + 1) % n);
+  else if (e.key === "ArrowUp" && n)   selectPaletteItem((paletteIndex - 1 + n) % n);
+  else if (e.key === "Enter")          runPaletteItem(paletteIndex);
+  else if (e.key === "Escape" || comboFromEvent(e) === shortcutBindings.palette) closePalette();
+  else return;
+  e.preventDefault();
+});
+paletteOverlay.addEventListener("mousedown", (e) => {
+  if (e.target === paletteOverlay) closePalette();
+});
+paletteBtn.addEventListener("click", () => { if (globalIpn) openPalette(); });
+applyShortcutHints();
+
+// ─── Node state storage ───────────────────────────────────────────────────────
+// By default the node's state lives in sessionStorage: every browser tab is a
+// new ephemeral node that Tailscale removes once it goes away, which is right
+// for shared machines.  On a trusted workstation the user can opt into a
+// persistent node whose state is kept in IndexedDB (per tailnet), optionally
+// encrypted with an AES-GCM key generated as non-extractable and stored in
+// IndexedDB too, so the raw key bytes can't be read back out of the browser.
+//
+// createIPN wants synchronous get/set, so persistent state is loaded into
+// memory before boot and written back in order as it changes.  Only one tab
+// can run the persistent node (a Web Lock guards it); other tabs fall back
+// to an ephemeral node of their own.  Persistent nodes never use the
+// Worker's auth keys, which mint ephemeral nodes.
+
+const LS_NODE_MODE = "tailssh:nodeMode";
+const NODE_MODES = {
+  ephemeral:  "Ephemeral — a new node for each browser tab, removed when it closes",
+  persistent: "Persistent — stay logged in on this browser",
+  encrypted:  "Persistent, encrypted — as above, with the saved state encrypted by a key that never leaves this browser",
+};
+const NODE_DB = "tailssh";
+const NODE_DB_VERSION = 1;
+const NODE_STATE_KEY_ID = "node-state";
+
+function getNodeMode() {
+  try {
+    const mode = localStorage.getItem(LS_NODE_MODE);
+    return mode in NODE_MODES ? mode : "ephemeral";
+  } catch {
+    return "ephemeral";
+  }
+}
+
+function setNodeMode(mode) {
+  try {
+    if (mode === "ephemeral") localStorage.removeItem(LS_NODE_MODE);
+    else localStorage.setItem(LS_NODE_MODE, mode);
+  } catch {}
+}
+
+/** The sessionStorage-backed store every ephemeral node uses. */
+const sessionNodeStorage = {
+  mode: "ephemeral",
+  setState(id, value) { try { sessionStorage.setItem(`ts:${id}`, value); } catch {} },
+  getState(id)        { try { return sessionStorage.getItem(`ts:${id}`) ?? ""; } catch { return ""; } },
+  hasState: hasStoredNodeState,
+  close() {},
+};
+
+/** Promise for an IDBRequest's result. */
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openNodeDb() {
+  const req = indexedDB.open(NODE_DB, NODE_DB_VERSION);
+  req.onupgradeneeded = () => {
+    req.result.createObjectStore("state");
+    req.result.createObjectStore("keys");
+  };
+  return idbResult(req);
+}
+
+/** The state encryption key, created on first use. */
+async function nodeStateKey(db) {
+  const existing = await idbResult(db.transaction("keys").objectStore("keys").get(NODE_STATE_KEY_ID));
+  if (existing) return existing;
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  await idbResult(db.transaction("keys", "readwrite").objectStore("keys").put(key, NODE_STATE_KEY_ID));
+  return key;
+}
+
+/** Resolves true once this tab holds the persistent node, false if another tab does. */
+function acquireNodeLock() {
+  if (!navigator.locks) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    navigator.locks.request(`tailssh:node:${currentTailnet ?? ""}`, { ifAvailable: true }, (lock) => {
+      resolve(!!lock);
+      // Held for the life of the tab
+      return lock ? new Promise(() => {}) : undefined;
+    });
+  });
+}
+
+/** Set when a persistent mode was chosen but this tab runs ephemeral instead. */
+let nodeStorageFallback = null;
+
+/**
+ * The state store for this tab's node, per the chosen mode: the session
+ * store, or a preloaded persistent one with the same interface.
+ */
+async function openNodeStorage() {
+  const mode = getNodeMode();
+  if (mode === "ephemeral") return sessionNodeStorage;
+  if (!globalThis.indexedDB || (mode === "encrypted" && !crypto.subtle)) {
+    nodeStorageFallback = "this browser doesn't support saving the node";
+    return sessionNodeStorage;
+  }
+  if (!await acquireNodeLock()) {
+    nodeStorageFallback = "another tab is running this browser's saved node";
+    return sessionNodeStorage;
+  }
+
+  try {
+    const db = await openNodeDb();
+    const key = mode === "encrypted" ? await nodeStateKey(db) : null;
+    const prefix = `${currentTailnet ?? ""}/`;
+    const cache = new Map();
+
+    const store = db.transaction("state").objectStore("state");
+    const [ids, values] = await Promise.all([idbResult(store.getAllKeys()), idbResult(store.getAll())]);
+    for (let i = 0; i < ids.length; i++) {
+      if (!String(ids[i]).startsWith(prefix)) continue;
+      const value = values[i];
+      try {
+        cache.set(ids[i].slice(prefix.length), key
+          ? new TextDecoder().decode(await crypto.subtle.decrypt({ name: "AES-GCM", iv: value.iv }, key, value.data))
+          : value);
+      } catch {
+        // Saved under another mode or an earlier key: start that entry afresh
+      }
+    }
+
+    let writes = Promise.resolve();
+    const write = async (id, value) => {
+      const record = key
+        ? await (async () => {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(value));
+            return { iv, data };
+          })()
+        : value;
+      await idbResult(db.transaction("state", "readwrite").objectStore("state").put(record, prefix + id));
+    };
+
+    return {
+      mode,
+      setState(id, value) {
+        cache.set(id, value);
+        // Chained so a slow encryption never lets an older value land last
+        writes = writes.then(() => write(id, value))
+          .catch(err => console.error("[node] could not save state:", err));
+      },
+      getState(id) { return cache.get(id) ?? ""; },
+      hasState: () => cache.size > 0,
+      // Lets queued writes land first, so none can outlive a wipe
+      async close() {
+        await writes;
+        db.close();
+      },
+    };
+  } catch (err) {
+    console.warn("[node] saved state unavailable, running ephemeral:", err);
+    nodeStorageFallback = "the saved node could not be opened";
+    return sessionNodeStorage;
+  }
+}
+
+/**
+ * Drop the current tailnet's node from this browser: its sessionStorage
+ * entries and its saved state.  Nodes saved for other tailnets stay, and the
+ * encryption key is only deleted once no saved state is left.
+ */
+async function wipeNodeState(storage) {
+  try {
+    for (const key of Object.keys(sessionStorage)) {
+      if (key.startsWith("ts:")) sessionStorage.removeItem(key);
+    }
+  } catch {}
+  await storage.close();
+  if (!globalThis.indexedDB) return;
+
+  const prefix = `${currentTailnet ?? ""}/`;
+  let db = null;
+  try {
+    db = await openNodeDb();
+    const tx = db.transaction(["state", "keys"], "readwrite");
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+    const state = tx.objectStore("state");
+    state.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+    if (await idbResult(state.count()) === 0) tx.objectStore("keys").delete(NODE_STATE_KEY_ID);
+    await done;
+  } catch (err) {
+    console.warn("[node] could not delete the saved node:", err);
+  } finally {
+    db?.close();
+  }
+}
+
+// ── Node modal ──
+// Opened from the header's Logout button: log out, switch mode, or forget
+// this browser (remove a persistent node from the tailnet through the Worker,
+// log it out so its key is expired, then wipe its state).
+
+/** Set while a forget waits for the logout to reach the control server */
+let pendingForget = null;
+const FORGET_LOGOUT_TIMEOUT_MS = 5000;
+
+function openNodeModal(ipn, storage) {
+  const current = storage.mode;
+  nodeModalDesc.textContent = nodeStorageFallback
+    ? `This tab runs an ephemeral node because ${nodeStorageFallback}.`
+    : current === "ephemeral"
+      ? "This tab's node is ephemeral: closing the tab signs it out."
+      : "This browser stays logged in until you log out or forget it.";
+  nodeModeList.innerHTML = "";
+  for (const [mode, label] of Object.entries(NODE_MODES)) {
+    const row = document.createElement("label");
+    row.className = "settings-check node-mode";
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "node-mode";
+    radio.value = mode;
+    radio.checked = mode === getNodeMode();
+    row.append(radio, ` ${label}`);
+    nodeModeList.appendChild(row);
+  }
+  const chosen = () => nodeModeList.querySelector("input:checked")?.value ?? getNodeMode();
+  const render = () => {
+    const changed = chosen() !== getNodeMode();
+    nodeApplyBtn.hidden = !changed;
+    nodeLogoutBtn.hidden = changed;
+    nodeForgetBtn.hidden = changed || getNodeMode() === "ephemeral";
+  };
+  render();
+  nodeModal.classList.remove("hidden");
+
+  const close = () => {
+    nodeModal.classList.add("hidden");
+    nodeModeList.removeEventListener("change", render);
+    nodeCancelBtn.removeEventListener("click", close);
+    nodeLogoutBtn.removeEventListener("click", onLogout);
+    nodeForgetBtn.removeEventListener("click", onForget);
+    nodeApplyBtn.removeEventListener("click", onApply);
+    nodeModal.removeEventListener("keydown", onKey);
+  };
+  const onLogout = () => {
+    close();
+    logoutBtn.disabled = true;
+    logoutBtn.textContent = "Logging out…";
+    ipn.logout();
+  };
+  const onForget = () => {
+    if (!confirm("Log this browser out of Tailscale and delete its saved node state?")) return;
+    close();
+    forgetThisBrowser(ipn, storage, "ephemeral").catch(err => console.error("[node]", err));
+  };
+  const onApply = () => {
+    const mode = chosen();
+    if (!confirm("Changing how the node is kept logs this browser out and starts a fresh login. Continue?")) return;
+    close();
+    forgetThisBrowser(ipn, storage, mode).catch(err => console.error("[node]", err));
+  };
+  const onKey = (e) => {
+    if (e.key === "Escape") { e.preventDefault(); close(); }
+  };
+  nodeModeList.addEventListener("change", render);
+  nodeCancelBtn.addEventListener("click", close);
+  nodeLogoutBtn.addEventListener("click", onLogout);
+  nodeForgetBtn.addEventListener("click", onForget);
+  nodeApplyBtn.addEventListener("click", onApply);
+  nodeModal.addEventListener("keydown", onKey);
+  nodeCancelBtn.focus();
+}
+
+/**
+ * Ask the Worker to delete this browser's node from the tailnet
+ * (DELETE /api/node).  Returns null on success, else why it failed.
+ */
+async function removeBrowserNode() {
+  const nodeKey = netmap?.self?.nodeKey;
+  if (!nodeKey) return "its node key is not known yet";
+  try {
+    const resp = await fetch(`/api/node${tailnetQuery()}`, {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ nodeKey }),
+      cache: "no-store",
+    });
+    if (resp.ok) return null;
+    const body = await resp.json().catch(() => ({}));
+    return body.error || `HTTP ${resp.status}`;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Remove a persistent node from the tailnet, log the node out, wipe its
+ * state and reload into `nextMode`.  If the removal fails the user decides
+ * whether to go on without it.  The wipe waits for the logout to take effect
+ * (see the NeedsLogin case in main), but not for longer than
+ * FORGET_LOGOUT_TIMEOUT_MS.
+ */
+async function forgetThisBrowser(ipn, storage, nextMode) {
+  let timer = null;
+  const finish = async () => {
+    if (!pendingForget) return;
+    pendingForget = null;
+    clearTimeout(timer);
+    await wipeNodeState(storage);
+    setNodeMode(nextMode);
+    location.reload();
+  };
+  // Set before the removal: deleting the node logs it out, and the
+  // NeedsLogin that follows must finish the forget, not start a login
+  pendingForget = finish;
+
+  // Ephemeral nodes are removed by Tailscale itself once they log out
+  if (storage.mode !== "ephemeral") {
+    logoutBtn.disabled = true;
+    logoutBtn.textContent = "Removing…";
+    const error = await removeBrowserNode();
+    if (!pendingForget) return;
+    if (error && !confirm(
+      `This browser's node could not be removed from the tailnet: ${error}\n\n` +
+      "Sign out and delete its saved state anyway? The node then stays in the " +
+      "tailnet, logged out, until you remove it in the Tailscale admin console."
+    )) {
+      pendingForget = null;
+      logoutBtn.disabled = false;
+      logoutBtn.textContent = "Logout";
+      return;
+    }
+  }
+
+  clearAllTabs();
+  showLoading("Signing this browser out…");
+  timer = setTimeout(() => {
+    console.warn("[node] logout did not complete; wiping local state anyway");
+    finish();
+  }, FORGET_LOGOUT_TIMEOUT_MS);
+  ipn.logout();
+}
+
+// ─── Pre-auth key ─────────────────────────────────────────────────────────────
+
+// After booting with an auth key, give the key this long to log the node in
+// before falling back to the interactive login popup.
+const AUTHKEY_GRACE_MS = 15 * 1000;
+
+/**
+ * True if this browser tab already holds Tailscale node state (e.g. after a
+ * reload), in which case the node logs itself back in and a fresh auth key
+ * would be wasted.
+ */
+function hasStoredNodeState() {
+  try {
+    for (let i = 0; i < sessionStorage.length; i++) {
+      if (sessionStorage.key(i)?.startsWith("ts:")) return true;
+    }
+  } catch {}
+  return false;
+}
+
+/**
+ * Ask the Worker for a single-use ephemeral auth key (POST /api/authkey).
+ * Returns the key, or null when minting is disabled or fails — the caller
+ * then falls back to interactive login.
+ */
+async function fetchAuthKey() {
+  try {
+    const resp = await fetch(`/api/authkey${tailnetQuery()}`, { method: "POST", cache: "no-store" });
+    if (!resp.ok) {
+      // 404 just means the deployment has not enabled auth key minting
+      if (resp.status !== 404) {
+        const body = await resp.json().catch(() => ({}));
+        console.warn("[authkey] falling back to interactive login:", body.error || `HTTP ${resp.status}`);
+      }
+      return null;
+    }
+    const { key } = await resp.json();
+    return key || null;
+  } catch (err) {
+    console.warn("[authkey] falling back to interactive login:", err.message);
+    return null;
+  }
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+
 async function main() {
   // ── Boot Tailscale WASM ──────────────────────────────────────────────
   showLoading("Loading Tailscale WASM…");
+  await loadTailnets();
+  const nodeStorage = await openNodeStorage();
+  // Worker auth keys make ephemeral nodes, so a persistent one logs in interactively
+  const authKey = nodeStorage.mode !== "ephemeral" || nodeStorage.hasState() ? null : await fetchAuthKey();
   let ipn;
   try {
     ipn = await createIPN({
-      stateStorage: {
-        setState(id, value) { try { sessionStorage.setItem(`ts:${id}`, value); } catch {} },
-        getState(id)        { try { return sessionStorage.getItem(`ts:${id}`) ?? ""; } catch { return ""; } },
-      },
+      ...(authKey ? { authKey } : {}),
+      stateStorage: nodeStorage,
       panicHandler(err) {
         console.error("[tailscale] panic:", err);
         // panicHandler is synchronous; show the error directly
@@ -735,13 +5223,19 @@ async function main() {
   let loginTimer = null;
   let buttonsWired = false;
 
+  // The first NeedsLogin after booting with an auth key is usually transient
+  // while the key is redeemed, so the interactive fallback waits a grace period.
+  let authKeyPending = Boolean(authKey);
+
   const scheduleLogin = () => {
     if (loginTimer !== null) clearTimeout(loginTimer);
+    const delay = authKeyPending ? AUTHKEY_GRACE_MS : 0;
+    authKeyPending = false;
     loginTimer = setTimeout(() => {
       loginTimer = null;
       console.log("[tailscale] calling ipn.login() (deferred)");
       ipn.login();
-    }, 0);
+    }, delay);
   };
 
   // Track whether the IPN has ever reached Running so we can detect
@@ -753,9 +5247,11 @@ async function main() {
     notifyState(state) {
       console.log("[tailscale] state →", state);
       setStatus(state);
+      recordTimeline("state", state);
       switch (state) {
         case "Running":
           if (loginTimer !== null) { clearTimeout(loginTimer); loginTimer = null; }
+          authKeyPending = false;
           hideAuthOverlay();
           hideLoading();
           ipnEverRan = true;
@@ -764,17 +5260,25 @@ async function main() {
             buttonsWired = true;
             globalIpn = ipn;
             newTabBtn.addEventListener("click", () => createTab(ipn));
-            logoutBtn.addEventListener("click", () => {
-              logoutBtn.disabled = true;
-              logoutBtn.textContent = "Logging out…";
-              ipn.logout();
-            });
+            logoutBtn.addEventListener("click", () => openNodeModal(ipn, nodeStorage));
           }
           // Open a fresh tab every time we reach Running (including after re-login)
-          if (tabs.length === 0) createTab(ipn);
+          if (tabs.length === 0) {
+            // Read the snapshot before the fresh tab's save is scheduled;
+            // offerWorkspaceRestore() then holds saves until it is answered
+            const workspace = loadWorkspace();
+            createTab(ipn);
+            if (pendingDeepLinks.length) {
+              openDeepLinks(ipn, pendingDeepLinks.splice(0))
+                .catch(err => console.error("[deepLinks]", err));
+            } else if (workspace) {
+              offerWorkspaceRestore(ipn, workspace);
+            }
+          }
           break;
         case "NeedsLogin":
         case "NeedsMachineAuth":
+          if (pendingForget) { pendingForget(); break; }
           clearAllTabs();
           showLoading("Waiting for Tailscale authentication…");
           scheduleLogin();
@@ -796,13 +5300,16 @@ async function main() {
       window.open(url, "_blank", "noopener,noreferrer");
     },
     notifyNetMap(netMapJSON) {
+      let nm;
       try {
-        const nm = JSON.parse(netMapJSON);
-        console.log("[tailscale] netmap — self:", nm.self?.name,
-          "peers:", nm.peers?.length ?? 0);
+        nm = JSON.parse(netMapJSON);
       } catch {
         console.debug("[tailscale] netmap (raw):", netMapJSON);
+        return;
       }
+      console.log("[tailscale] netmap — self:", nm.self?.name,
+        "peers:", nm.peers?.length ?? 0);
+      handleNetMap(nm);
     },
     notifyPanicRecover(err) {
       console.error("[tailscale] panic:", err);
@@ -813,6 +5320,12 @@ async function main() {
   });
 }
 
+// Cache main.wasm and the app shell for repeat visits (see sw.js)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/sw.js")
+    .catch(err => console.warn("[sw] registration failed:", err.message));
+}
+
 authOpenBtn.addEventListener("click", () => {
   if (pendingLoginURL) window.open(pendingLoginURL, "_blank", "noopener,noreferrer");
 });
@@ -0,0 +1,92 @@
+/**
+ * sw.js — Service worker caching the Tailscale WASM bundle and the app shell
+ *
+ * main.wasm (~32 MB), pkg.js and pkg.css only change with the
+ * @tailscale/connect build, so they are served cache-first from a cache named
+ * after its version and content hash (written to sw-version.js by build.js).
+ * They are cached when first requested rather than on install: the page
+ * that registers the worker is already downloading them, and precaching would
+ * fetch the 32 MB binary a second time.  A new version gets a new cache and
+ * the old ones are deleted on activation.  Without sw-version.js ("dev")
+ * nothing names the bundle's version, so it is fetched network-first like the
+ * shell and a rebuilt bundle is never hidden behind a stale copy.
+ *
+ * The app shell (index.html, app.js, style.css, …) changes with every deploy,
+ * so it is fetched network-first and the cached copy is only a fallback for
+ * when the network is down.  /api/* is never touched.
+ */
+
+const CACHE_PREFIX = "tailssh-";
+
+try {
+  importScripts("/sw-version.js");
+} catch {
+  // Not built (plain `wrangler dev` without `npm run build`)
+}
+const VERSION = self.TAILSSH_CONNECT_VERSION || "dev";
+const VERSIONED = VERSION !== "dev";
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+
+// Versioned by @tailscale/connect: cache-first (network-first when unversioned)
+const BUNDLE = ["/main.wasm", "/pkg.js", "/pkg.css"];
+// Changes with each deploy: network-first
+const SHELL = ["/", "/app.js", "/style.css", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    // Only the small shell; the bundle is cached by cacheFirst() on first use
+    await cache.addAll(SHELL);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && name !== CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (BUNDLE.includes(url.pathname)) {
+    event.respondWith(VERSIONED ? cacheFirst(url.pathname, request) : networkFirst(url.pathname, request));
+  } else if (request.mode === "navigate") {
+    // Every page path is the single-page app (/ssh/user@host deep links too)
+    event.respondWith(networkFirst("/", request));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(url.pathname, request));
+  }
+});
+
+async function cacheFirst(key, request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  if (resp.ok) await cache.put(key, resp.clone());
+  return resp;
+}
+
+async function networkFirst(key, request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const resp = await fetch(request);
+    // Only the shell's own URLs are refreshed; other pages just fall back to it
+    if (resp.ok && (request.mode !== "navigate" || new URL(request.url).pathname === "/")) {
+      await cache.put(key, resp.clone());
+    }
+    return resp;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
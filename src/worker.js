@@ -2,28 +2,83 @@
  * Cloudflare Worker entry point for TailSSH.
  *
  * Routes:
- *   GET /api/healthz   — liveness check
+ *   GET /api/healthz   — liveness check (unauthenticated)
+ *   GET /api/tailnets  — configured tailnets the browser can switch between
  *   GET /api/devices   — proxy to Tailscale API, returns trimmed device list
+ *   GET /api/devices/:id — full record for one device (detail drawer)
+ *   POST /api/authkey  — mint a single-use ephemeral auth key for the browser node
+ *   DELETE /api/node   — remove the caller's own persistent browser node
+ *   POST /api/audit    — record an SSH session event (start/connect/end/error)
+ *   GET /api/audit     — paginated, filterable audit history (AUDIT_ADMINS only)
  *   *                  — static assets from /public
  *
- * The Tailscale API token is stored as a Worker secret named TS_API_TOKEN.
- * It never reaches the browser.  Set it with:
+ * Tailscale API credentials are Worker secrets and never reach the browser.
+ * Either an OAuth client (preferred — it does not expire):
+ *   npx wrangler secret put TS_OAUTH_CLIENT_ID
+ *   npx wrangler secret put TS_OAUTH_CLIENT_SECRET
+ * or a static API access token (expires after at most 90 days):
  *   npx wrangler secret put TS_API_TOKEN          (production)
  *   echo "TS_API_TOKEN=tskey-api-…" >> .dev.vars  (local dev)
+ * If both are set the OAuth client wins.
+ *
+ * To serve several tailnets, set TAILNETS to a JSON map of named tailnets
+ * whose credentials point at further secrets (see tailnetConfigs() below);
+ * the device, auth key and node routes then take ?tailnet=<name>.
+ *
+ * When CF_ACCESS_TEAM_DOMAIN and CF_ACCESS_AUD are set, every /api/* route
+ * except /api/healthz requires a valid Cloudflare Access JWT.  This is a
+ * second line of defence: a missing or misconfigured Access policy no longer
+ * exposes the device inventory to whoever finds the URL.
+ *
+ * An optional device visibility policy (DEVICE_POLICY var or the
+ * "device-policy" key in the POLICY_KV namespace) trims the device list per
+ * caller, keyed on the Access identity.  See loadDevicePolicy() below.
+ *
+ * The SSH session audit log lives in a D1 database bound as AUDIT_DB; apply
+ * the schema with `npx wrangler d1 migrations apply <db-name>`.
  */
 
 const TAILSCALE_API = "https://api.tailscale.com/api/v2";
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     if (url.pathname === "/api/healthz") {
       return json({ ok: true });
     }
 
+    let identity = null;
+    if (url.pathname.startsWith("/api/")) {
+      const auth = await authenticate(request, env);
+      if (auth.error) return auth.error;
+      identity = auth.identity;
+    }
+
+    if (url.pathname === "/api/tailnets") {
+      return handleTailnets(request, env);
+    }
+
     if (url.pathname === "/api/devices") {
-      return handleDevices(request, env);
+      return handleDevices(request, env, ctx, identity);
+    }
+
+    if (url.pathname.startsWith("/api/devices/")) {
+      return handleDeviceDetail(request, env, identity, url.pathname.slice("/api/devices/".length));
+    }
+
+    if (url.pathname === "/api/authkey") {
+      return handleAuthKey(request, env, identity);
+    }
+
+    if (url.pathname === "/api/node") {
+      return handleNodeDelete(request, env, ctx, identity);
+    }
+
+    if (url.pathname === "/api/audit") {
+      return request.method === "POST"
+        ? handleAuditPost(request, env, identity)
+        : handleAuditGet(request, env, identity);
     }
 
     return new Response("Not found", { status: 404 });
@@ -34,73 +89,1127 @@ export default {
  * Proxy GET /api/devices → Tailscale API.
  *
  * Returns a JSON array of trimmed device objects:
- *   { id, name, hostname, addresses, os, online, lastSeen, sshEnabled }
+ *   { id, name, displayName, hostname, addresses, os, online, lastSeen,
+ *     sshEnabled, tags, clientVersion, keyExpiry, updateAvailable,
+ *     authorized, user }
+ *
+ * Optional query filters (all must match):
+ *   ?tag=tag:prod     device carries this tag (repeat for any-of)
+ *   ?os=linux         OS equals this, case-insensitively (repeat for any-of)
+ *   ?online=true      online state (true/false)
+ *   ?ssh=true         Tailscale SSH enabled (true/false)
+ *   ?q=web            substring of name, hostname, OS, address, tag or user
+ *
+ * ?tailnet=<name> selects one of the configured tailnets (default: the
+ * default one).  Unless that tailnet names its organization, "tailnet/-" is
+ * used, meaning "the tailnet that owns these credentials".
+ *
+ * Devices the caller's identity may not see under the device policy are
+ * dropped before trimming.
+ *
+ * The upstream list is cached (see getDeviceList), and responses carry an
+ * ETag so a client revalidating with If-None-Match gets a bodyless 304.
+ */
+async function handleDevices(request, env, ctx, identity) {
+  // Only allow GET
+  if (request.method !== "GET") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const tailnet = resolveTailnet(env, params.get("tailnet"));
+  if (tailnet.error) return json({ error: tailnet.error }, { status: tailnet.status });
+
+  const query = parseDeviceQuery(params);
+  if (query.error) return json({ error: query.error }, { status: 400 });
+
+  let list;
+  try {
+    list = await getDeviceList(tailnet, ctx);
+  } catch (err) {
+    return json({ error: err.message }, { status: err.status ?? 502 });
+  }
+
+  let visible;
+  try {
+    visible = devicePolicyFilter(await loadDevicePolicy(env), identity);
+  } catch (err) {
+    // Fail closed: a broken policy must not fall back to "show everything"
+    return json({ error: `Device policy is invalid: ${err.message}` }, { status: 500 });
+  }
+
+  // Trim to only the fields the frontend needs
+  const now = Date.now();
+  const devices = list.devices.flatMap((d) => {
+    // Guard: skip devices with no name — d.name.split(".") would throw
+    if (!d.name) return [];
+    if (!visible(d)) return [];
+
+    const device = trimDevice(d, now);
+    return query.matches(device) ? [device] : [];
+  });
+
+  // The body depends on the caller (policy) and the query, so the ETag is
+  // derived from the body itself rather than from the cached upstream list.
+  const body = JSON.stringify(devices);
+  const etag = `"${await sha256Hex(body)}"`;
+  const headers = {
+    ETag: etag,
+    // Per-user content: never store in shared caches, always revalidate
+    "Cache-Control": "private, no-cache",
+  };
+
+  if (ifNoneMatch(request, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(body, {
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Proxy GET /api/devices/:id → Tailscale API.
+ *
+ * Returns the trimmed device (as in /api/devices) plus the detail the picker's
+ * drawer shows: creation time, advertised/enabled routes, exit node status,
+ * whether incoming connections are blocked, and clientConnectivity (endpoints
+ * and per-DERP-region latency).  Takes ?tailnet= like /api/devices.
+ *
+ * Devices hidden from the caller by the device policy answer 404, exactly
+ * like devices that do not exist, so the route cannot be used to probe them.
+ */
+async function handleDeviceDetail(request, env, identity, rawId) {
+  if (request.method !== "GET") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  let id;
+  try {
+    id = decodeURIComponent(rawId);
+  } catch {
+    id = "";
+  }
+  if (!id || id.includes("/")) {
+    return json({ error: "Invalid device id" }, { status: 400 });
+  }
+
+  const tailnet = resolveTailnet(env, new URL(request.url).searchParams.get("tailnet"));
+  if (tailnet.error) return json({ error: tailnet.error }, { status: tailnet.status });
+
+  let visible;
+  try {
+    visible = devicePolicyFilter(await loadDevicePolicy(env), identity);
+  } catch (err) {
+    return json({ error: `Device policy is invalid: ${err.message}` }, { status: 500 });
+  }
+
+  let d;
+  try {
+    d = await tailscaleApi(tailnet.creds, `/device/${encodeURIComponent(id)}?fields=all`);
+  } catch (err) {
+    return json({ error: err.message }, { status: err.status ?? 502 });
+  }
+
+  if (!d.name || !visible(d)) {
+    return json({ error: "Device not found" }, { status: 404 });
+  }
+
+  const advertised = d.advertisedRoutes ?? [];
+  const enabled    = d.enabledRoutes ?? [];
+  const isExitRoute = (r) => r === "0.0.0.0/0" || r === "::/0";
+  const conn = d.clientConnectivity ?? {};
+
+  return json({
+    ...trimDevice(d, Date.now()),
+    created:                   d.created ?? null,
+    advertisedRoutes:          advertised,
+    enabledRoutes:             enabled,
+    // An exit node advertises the default routes; it is usable once approved
+    exitNodeAdvertised:        advertised.some(isExitRoute),
+    exitNodeEnabled:           enabled.some(isExitRoute),
+    blocksIncomingConnections: d.blocksIncomingConnections ?? false,
+    isExternal:                d.isExternal ?? false,
+    tailnetLockError:          d.tailnetLockError ?? "",
+    clientConnectivity: {
+      endpoints:             conn.endpoints ?? [],
+      // { "<DERP region>": { latencyMs, preferred } }
+      latency:               conn.latency ?? {},
+      mappingVariesByDestIP: conn.mappingVariesByDestIP ?? null,
+      clientSupports:        conn.clientSupports ?? {},
+    },
+  }, {
+    headers: { "Cache-Control": "private, no-cache" },
+  });
+}
+
+// How long a minted auth key stays usable.  The browser calls createIPN right
+// after minting, so this only has to cover WASM download and boot.
+const AUTHKEY_EXPIRY_SECONDS = 10 * 60;
+
+/**
+ * POST /api/authkey → create a pre-authorized auth key for the browser node.
  *
- * The token is read from the TS_API_TOKEN secret binding.  "tailnet/-" means
- * "the tailnet that owns this token" — no need to hard-code the tailnet name.
+ * Returns { key, expires }.  The key is single-use, ephemeral and carries the
+ * tags in TS_AUTHKEY_TAGS (comma-separated, e.g. "tag:tailssh-browser"), so
+ * every browser node gets the same ACL identity instead of the logged-in
+ * user's.  The route is disabled (404) unless TS_AUTHKEY_TAGS is set, and
+ * requires a verified Cloudflare Access identity: handing out auth keys to
+ * anonymous callers would let anyone join the tailnet.
+ *
+ * OAuth clients need the `auth_keys` scope and ownership of the tags.
  */
-async function handleDevices(request, env) {
-  if (!env.TS_API_TOKEN) {
+async function handleAuthKey(request, env, identity) {
+  const tailnet = resolveTailnet(env, new URL(request.url).searchParams.get("tailnet"));
+  if (tailnet.error) return json({ error: tailnet.error }, { status: tailnet.status });
+
+  const tags = tailnet.authKeyTags;
+  if (!tags.length) {
+    return json({ error: "Auth key minting is not enabled (TS_AUTHKEY_TAGS is not set)" }, { status: 404 });
+  }
+
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  if (!identity) {
     return json(
-      { error: "TS_API_TOKEN secret is not configured. See src/worker.js for instructions." },
-      { status: 500 }
+      { error: "Auth key minting requires Cloudflare Access (CF_ACCESS_TEAM_DOMAIN / CF_ACCESS_AUD)" },
+      { status: 403 }
     );
   }
 
-  // Only allow GET
+  let created;
+  try {
+    created = await tailscaleApi(tailnet.creds, `/tailnet/${tailnet.path}/keys`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        capabilities: {
+          devices: {
+            create: { reusable: false, ephemeral: true, preauthorized: true, tags },
+          },
+        },
+        expirySeconds: AUTHKEY_EXPIRY_SECONDS,
+        // Shows up in the admin console's key list; the API only allows a
+        // short description of letters, digits, spaces and hyphens.
+        description: `tailssh ${identity.email ?? "browser"}`.replace(/[^A-Za-z0-9 -]/g, "-").slice(0, 50),
+      }),
+    });
+  } catch (err) {
+    return json({ error: err.message }, { status: err.status ?? 502 });
+  }
+
+  return json(
+    { key: created.key, expires: created.expires ?? null },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
+
+/**
+ * DELETE /api/node → remove this browser's node from the tailnet.
+ *
+ * Body: { nodeKey } — the node key from the browser node's own netmap.
+ *
+ * "Forget this browser" calls this for persistent nodes, which would
+ * otherwise stay in the tailnet, logged out, after their state is wiped.
+ * Node keys are visible to every peer, so the key alone proves nothing: the
+ * device must also be a browser node (OS "js") owned by the caller's
+ * verified Access identity, which requires Cloudflare Access.  Answers 204.
+ */
+async function handleNodeDelete(request, env, ctx, identity) {
+  if (request.method !== "DELETE") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const tailnet = resolveTailnet(env, new URL(request.url).searchParams.get("tailnet"));
+  if (tailnet.error) return json({ error: tailnet.error }, { status: tailnet.status });
+
+  if (!identity?.email) {
+    return json(
+      { error: "Removing browser nodes requires Cloudflare Access (CF_ACCESS_TEAM_DOMAIN / CF_ACCESS_AUD)" },
+      { status: 403 }
+    );
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Body must be JSON" }, { status: 400 });
+  }
+  const nodeKey = body?.nodeKey;
+  if (typeof nodeKey !== "string" || !/^nodekey:[0-9a-f]{64}$/.test(nodeKey)) {
+    return json({ error: `"nodeKey" must be a node key` }, { status: 400 });
+  }
+
+  let device;
+  try {
+    // Fresh rather than cached: the node may have joined moments ago
+    const { devices } = await refreshDeviceList(tailnet);
+    device = devices.find(d => d.nodeKey === nodeKey);
+  } catch (err) {
+    return json({ error: err.message }, { status: err.status ?? 502 });
+  }
+
+  if (!device) {
+    return json({ error: "Node not found in the tailnet" }, { status: 404 });
+  }
+  if (device.os !== "js" || (device.user ?? "").toLowerCase() !== identity.email.toLowerCase()) {
+    return json({ error: "Not your browser node" }, { status: 403 });
+  }
+
+  try {
+    await tailscaleApi(tailnet.creds, `/device/${encodeURIComponent(device.id)}`, { method: "DELETE" });
+  } catch (err) {
+    return json({ error: err.message }, { status: err.status ?? 502 });
+  }
+
+  // Don't keep listing the removed node from the cache
+  ctx.waitUntil(
+    refreshDeviceList(tailnet).catch(err => console.error("[devices] refresh after removal failed:", err.message))
+  );
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * GET /api/tailnets → [{ name, label, default }] for the tailnet switcher.
+ * Only names and labels are exposed, never credentials.
+ */
+function handleTailnets(request, env) {
+  if (request.method !== "GET") {
+    return json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  let configs;
+  try {
+    configs = tailnetConfigs(env);
+  } catch (err) {
+    return json({ error: err.message }, { status: 500 });
+  }
+
+  return json(configs.map(c => ({ name: c.name, label: c.label, default: c.isDefault })));
+}
+
+// ─── Audit log ───────────────────────────────────────────────────────────────
+
+const AUDIT_EVENTS = ["start", "connect", "end", "error"];
+// Longest string stored per field; anything longer is truncated
+const AUDIT_FIELD_MAX = 256;
+const AUDIT_PAGE_DEFAULT = 50;
+const AUDIT_PAGE_MAX = 500;
+
+/**
+ * POST /api/audit → store one SSH session event reported by the browser.
+ *
+ * Body: { event, sessionId, at, tailnet, deviceId, deviceName, username,
+ *         tabLabel, reason }
+ *
+ * The identity is taken from the verified Access token, never from the body,
+ * and the server's receive time is stored next to the client's `at`.
+ * Answers 204, 404 when no AUDIT_DB is bound, or 403 when Access is not
+ * configured — without a verified identity anyone could write anonymous
+ * events into the log.  The frontend stops reporting on either.
+ */
+async function handleAuditPost(request, env, identity) {
+  if (!env.AUDIT_DB) {
+    return json({ error: "Audit log is not enabled (no AUDIT_DB binding)" }, { status: 404 });
+  }
+  if (!identity?.email) {
+    return json({ error: "Audit events need a Cloudflare Access identity" }, { status: 403 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Body must be JSON" }, { status: 400 });
+  }
+
+  const str = (v) => (typeof v === "string" && v ? v.slice(0, AUDIT_FIELD_MAX) : null);
+  if (!AUDIT_EVENTS.includes(body?.event)) {
+    return json({ error: `"event" must be one of ${AUDIT_EVENTS.join(", ")}` }, { status: 400 });
+  }
+  const sessionId = str(body.sessionId);
+  if (!sessionId) return json({ error: `"sessionId" is required` }, { status: 400 });
+
+  const receivedAt = new Date().toISOString();
+  const clientAt   = Date.parse(body.at);
+
+  try {
+    await env.AUDIT_DB.prepare(
+      `INSERT INTO audit_events
+         (received_at, occurred_at, identity, client_ip, event, session_id,
+          tailnet, device_id, device_name, username, tab_label, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      receivedAt,
+      Number.isNaN(clientAt) ? receivedAt : new Date(clientAt).toISOString(),
+      identity.email,
+      request.headers.get("CF-Connecting-IP"),
+      body.event,
+      sessionId,
+      str(body.tailnet),
+      str(body.deviceId),
+      str(body.deviceName),
+      str(body.username),
+      str(body.tabLabel),
+      str(body.reason),
+    ).run();
+  } catch (err) {
+    return json({ error: `Could not write audit event: ${err.message}` }, { status: 500 });
+  }
+
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * GET /api/audit → { events, nextCursor }, newest first.
+ *
+ * Only callers whose Access email matches a glob in AUDIT_ADMINS
+ * (comma-separated) may read the log.  Filters, all optional:
+ *   ?identity=  ?device=  (id or name)  ?username=  ?event=  ?session=
+ *   ?since= / ?until=  (ISO timestamps, on the server receive time)
+ * Pagination: ?limit= (default 50, max 500) and ?cursor= from the previous
+ * page's nextCursor (null on the last page).
+ */
+async function handleAuditGet(request, env, identity) {
   if (request.method !== "GET") {
     return json({ error: "Method not allowed" }, { status: 405 });
   }
+  if (!env.AUDIT_DB) {
+    return json({ error: "Audit log is not enabled (no AUDIT_DB binding)" }, { status: 404 });
+  }
+
+  const admins = splitList(env.AUDIT_ADMINS);
+  if (!identity?.email || !admins.some(g => globMatch(g, identity.email))) {
+    return json({ error: "Not authorized to read the audit log" }, { status: 403 });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const where = [];
+  const args  = [];
+  const eq = (param, column) => {
+    const v = params.get(param);
+    if (v) { where.push(`${column} = ?`); args.push(v); }
+  };
+  eq("identity", "identity");
+  eq("username", "username");
+  eq("event",    "event");
+  eq("session",  "session_id");
+  const device = params.get("device");
+  if (device) { where.push("(device_id = ? OR device_name = ?)"); args.push(device, device); }
+
+  for (const [param, op] of [["since", ">="], ["until", "<"]]) {
+    const v = params.get(param);
+    if (!v) continue;
+    const t = Date.parse(v);
+    if (Number.isNaN(t)) return json({ error: `?${param}= must be an ISO timestamp` }, { status: 400 });
+    where.push(`received_at ${op} ?`);
+    args.push(new Date(t).toISOString());
+  }
+
+  const cursor = params.get("cursor");
+  if (cursor) {
+    if (!/^\d+$/.test(cursor)) return json({ error: "Invalid cursor" }, { status: 400 });
+    where.push("id < ?");
+    args.push(Number(cursor));
+  }
+
+  const limitParam = Number(params.get("limit") ?? AUDIT_PAGE_DEFAULT);
+  const limit = Number.isInteger(limitParam) && limitParam > 0
+    ? Math.min(limitParam, AUDIT_PAGE_MAX)
+    : AUDIT_PAGE_DEFAULT;
+
+  // Fetch one extra row to learn whether another page exists
+  let results;
+  try {
+    ({ results } = await env.AUDIT_DB.prepare(
+      `SELECT id, received_at, occurred_at, identity, client_ip, event, session_id,
+              tailnet, device_id, device_name, username, tab_label, reason
+         FROM audit_events
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY id DESC
+        LIMIT ?`
+    ).bind(...args, limit + 1).all());
+  } catch (err) {
+    return json({ error: `Could not read the audit log: ${err.message}` }, { status: 500 });
+  }
+
+  const page = results.slice(0, limit);
+  return json({
+    events: page.map(r => ({
+      id:         r.id,
+      receivedAt: r.received_at,
+      occurredAt: r.occurred_at,
+      identity:   r.identity,
+      clientIp:   r.client_ip,
+      event:      r.event,
+      sessionId:  r.session_id,
+      tailnet:    r.tailnet,
+      deviceId:   r.device_id,
+      deviceName: r.device_name,
+      username:   r.username,
+      tabLabel:   r.tab_label,
+      reason:     r.reason,
+    })),
+    nextCursor: results.length > limit ? String(page[page.length - 1].id) : null,
+  }, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
+
+// ─── Tailnets ────────────────────────────────────────────────────────────────
+
+/**
+ * List the configured tailnets.
+ *
+ * Without TAILNETS there is a single tailnet named "default" using the
+ * top-level TS_OAUTH_CLIENT_* / TS_API_TOKEN secrets.  With TAILNETS set:
+ *
+ *   {
+ *     "prod": { "label": "Production", "oauthClientId": "TS_OAUTH_CLIENT_ID_PROD",
+ *               "oauthClientSecret": "TS_OAUTH_CLIENT_SECRET_PROD" },
+ *     "corp": { "label": "Corp", "tailnet": "example.com",
+ *               "apiToken": "TS_API_TOKEN_CORP", "authKeyTags": "tag:ssh-web" }
+ *   }
+ *
+ * The credential fields hold the *names* of Worker secrets, not their values,
+ * so TAILNETS itself can live in "vars".  `tailnet` is the organization name
+ * used in API paths (default "-").  The entry with `"default": true`, or
+ * else the first one, is the default.  Throws if TAILNETS is malformed.
+ */
+function tailnetConfigs(env) {
+  if (!env.TAILNETS) {
+    return [{
+      name: "default",
+      label: "Default",
+      isDefault: true,
+      path: "-",
+      creds: tailscaleCredentials(env),
+      authKeyTags: splitList(env.TS_AUTHKEY_TAGS),
+    }];
+  }
+
+  let raw;
+  try {
+    raw = typeof env.TAILNETS === "string" ? JSON.parse(env.TAILNETS) : env.TAILNETS;
+  } catch (err) {
+    throw new Error(`TAILNETS is not valid JSON: ${err.message}`);
+  }
+  const entries = Object.entries(raw ?? {});
+  if (!entries.length) throw new Error("TAILNETS must name at least one tailnet");
+
+  const defaultName = entries.find(([, c]) => c.default)?.[0] ?? entries[0][0];
+  return entries.map(([name, c]) => {
+    const creds = tailscaleCredentials(env, {
+      clientId:     c.oauthClientId,
+      clientSecret: c.oauthClientSecret,
+      token:        c.apiToken,
+    });
+    if (!creds.error) creds.label = `${name}: ${creds.label}`;
+    return {
+      name,
+      label: c.label ?? name,
+      isDefault: name === defaultName,
+      path: encodeURIComponent(c.tailnet ?? "-"),
+      creds,
+      authKeyTags: splitList(c.authKeyTags ?? env.TS_AUTHKEY_TAGS),
+    };
+  });
+}
+
+/**
+ * Resolve ?tailnet=<name> (null → the default tailnet) to its config.
+ * Returns the config, or { error, status } for unknown names and broken
+ * configuration.
+ */
+function resolveTailnet(env, name) {
+  let configs;
+  try {
+    configs = tailnetConfigs(env);
+  } catch (err) {
+    return { error: err.message, status: 500 };
+  }
+
+  const config = name ? configs.find(c => c.name === name) : configs.find(c => c.isDefault);
+  if (!config) return { error: `Unknown tailnet "${name}"`, status: 404 };
+  if (config.creds.error) return { error: config.creds.error, status: 500 };
+  return config;
+}
+
+// ─── Tailscale API client ────────────────────────────────────────────────────
+
+// Refresh OAuth access tokens this long before they expire, so a token never
+// dies between being handed out and being used.
+const OAUTH_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/** Per-isolate OAuth access tokens: client ID → { token, expiresAt }. */
+const oauthTokens = new Map();
+
+const DEFAULT_SECRET_NAMES = {
+  clientId:     "TS_OAUTH_CLIENT_ID",
+  clientSecret: "TS_OAUTH_CLIENT_SECRET",
+  token:        "TS_API_TOKEN",
+};
+
+/**
+ * Pick the configured Tailscale credential mode.
+ *
+ * `names` gives the secret bindings to read (a TAILNETS entry may leave some
+ * unset).  Returns { mode: "oauth", label, clientId, clientSecret },
+ * { mode: "token", label, token }, or { error } when nothing usable is set.
+ * `label` names the mode in error messages.
+ */
+function tailscaleCredentials(env, names = DEFAULT_SECRET_NAMES) {
+  const clientId     = names.clientId && env[names.clientId];
+  const clientSecret = names.clientSecret && env[names.clientSecret];
+  if (clientId || clientSecret) {
+    if (!clientId || !clientSecret) {
+      return { error: `Tailscale OAuth client is half-configured: set both ${names.clientId} and ${names.clientSecret}.` };
+    }
+    return { mode: "oauth", label: "OAuth client", clientId, clientSecret };
+  }
+  const token = names.token && env[names.token];
+  if (token) {
+    return { mode: "token", label: "API token", token };
+  }
+  const wanted = [
+    names.clientId && `${names.clientId}/${names.clientSecret}`,
+    names.token,
+  ].filter(Boolean).join(" or ");
+  return {
+    error: `No Tailscale credentials configured: set ${wanted || "credentials"}. See src/worker.js for instructions.`,
+  };
+}
+
+/**
+ * Call the Tailscale API and return the parsed JSON body (null when empty,
+ * as for DELETE).
+ *
+ * With OAuth credentials a 401 drops the cached access token and retries once
+ * with a fresh one (the client may have been rotated, or the token revoked).
+ * Throws an httpError naming the credential mode on failure.
+ */
+async function tailscaleApi(creds, path, init = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const bearer = await bearerToken(creds);
+
+    let resp;
+    try {
+      resp = await fetch(`${TAILSCALE_API}${path}`, {
+        ...init,
+        headers: {
+          ...init.headers,
+          Authorization: `Bearer ${bearer}`,
+          "User-Agent": "tailssh-worker/1.0",
+        },
+      });
+    } catch (err) {
+      throw httpError(`Tailscale API unreachable: ${err.message}`, 502);
+    }
+
+    if (resp.status === 401 && creds.mode === "oauth" && attempt === 0) {
+      oauthTokens.delete(creds.clientId);
+      continue;
+    }
+
+    if (!resp.ok) {
+      throw httpError(
+        `Tailscale API returned ${resp.status} (${creds.label})`,
+        [401, 403, 404].includes(resp.status) ? resp.status : 502
+      );
+    }
+
+    const text = await resp.text();
+    return text ? JSON.parse(text) : null;
+  }
+}
+
+async function bearerToken(creds) {
+  if (creds.mode === "token") return creds.token;
+
+  const cached = oauthTokens.get(creds.clientId);
+  if (cached && Date.now() < cached.expiresAt - OAUTH_REFRESH_MARGIN_MS) return cached.token;
 
   let resp;
   try {
-    resp = await fetch(`${TAILSCALE_API}/tailnet/-/devices?fields=all`, {
+    resp = await fetch(`${TAILSCALE_API}/oauth/token`, {
+      method: "POST",
       headers: {
-        Authorization: `Bearer ${env.TS_API_TOKEN}`,
+        "Content-Type": "application/x-www-form-urlencoded",
         "User-Agent": "tailssh-worker/1.0",
       },
+      body: new URLSearchParams({
+        grant_type:    "client_credentials",
+        client_id:     creds.clientId,
+        client_secret: creds.clientSecret,
+      }),
     });
   } catch (err) {
-    return json({ error: `Tailscale API unreachable: ${err.message}` }, { status: 502 });
+    throw httpError(`Tailscale OAuth token endpoint unreachable: ${err.message}`, 502);
   }
 
   if (!resp.ok) {
-    return json(
-      { error: `Tailscale API returned ${resp.status}` },
-      { status: resp.status === 401 || resp.status === 403 ? resp.status : 502 }
+    throw httpError(
+      `Tailscale OAuth token exchange returned ${resp.status} (${creds.label}) — check the client ID and secret`,
+      resp.status === 400 || resp.status === 401 || resp.status === 403 ? 401 : 502
     );
   }
 
-  const data = await resp.json();
+  const { access_token: token, expires_in: expiresIn = 3600 } = await resp.json();
+  if (!token) throw httpError(`Tailscale OAuth token exchange returned no access token (${creds.label})`, 502);
 
-  // Trim to only the fields the frontend needs
-  const now = Date.now();
-  const devices = (data.devices ?? []).flatMap((d) => {
-    // Guard: skip devices with no name — d.name.split(".") would throw
-    if (!d.name) return [];
+  oauthTokens.set(creds.clientId, { token, expiresAt: Date.now() + expiresIn * 1000 });
+  return token;
+}
 
-    // The Tailscale REST API does not return an `online` field.
-    // Infer it from lastSeen: if the device checked in within the last
-    // 10 minutes it is considered online (same threshold the admin UI uses).
-    const lastSeenMs = d.lastSeen ? new Date(d.lastSeen).getTime() : 0;
-    const online = lastSeenMs > 0 && (now - lastSeenMs) < 10 * 60 * 1000;
+// ─── Device list cache ───────────────────────────────────────────────────────
 
-    return [{
-      id:          d.id,
-      name:        d.name,                        // full MagicDNS FQDN e.g. "jkt02-mvn-1.taila58d0.ts.net"
-      displayName: d.name.split(".")[0],           // unique short label  e.g. "jkt02-mvn-1"
-      hostname:    d.hostname ?? "",               // OS hostname (may be non-unique)
-      addresses:   d.addresses ?? [],
-      os:          d.os ?? "",
-      online,
-      lastSeen:    d.lastSeen ?? null,
-      sshEnabled:  d.sshEnabled ?? false,
-    }];
-  });
+// Served without revalidation for DEVICES_FRESH_MS, then served stale for up
+// to DEVICES_STALE_MS more while a single background fetch refreshes it.
+// Several engineers opening tabs at once therefore cost one upstream call.
+const DEVICES_FRESH_MS = 15 * 1000;
+const DEVICES_STALE_MS = 60 * 1000;
 
-  return json(devices, {
-    // Short cache so repeated opens are snappy but not stale
-    headers: { "Cache-Control": "no-store" },
+// Synthetic URL prefix used as the Cache API key; never fetched.
+const DEVICES_CACHE_URL = "https://tailssh.internal/cache/devices/";
+
+/** Per-isolate copies of the cached lists, checked before the Cache API. */
+const deviceListMemo = new Map();
+/** In-flight upstream fetches, shared by concurrent requests in this isolate. */
+const deviceListInflight = new Map();
+
+/**
+ * Return the raw Tailscale device list of a tailnet (from resolveTailnet) as
+ * { devices, fetchedAt }.
+ *
+ * Looks in the isolate memo, then the colo's Cache API, and only then calls
+ * the Tailscale API.  Throws an Error with a `status` for the client on
+ * upstream failure.
+ */
+async function getDeviceList(tailnet, ctx) {
+  let entry = deviceListMemo.get(tailnet.name);
+  if (!entry || Date.now() - entry.fetchedAt >= DEVICES_FRESH_MS) {
+    entry = (await readCachedDeviceList(tailnet.name)) ?? entry;
+  }
+
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+  if (age < DEVICES_FRESH_MS) {
+    deviceListMemo.set(tailnet.name, entry);
+    return entry;
+  }
+  if (age < DEVICES_FRESH_MS + DEVICES_STALE_MS) {
+    ctx.waitUntil(
+      refreshDeviceList(tailnet).catch(err => console.error("[devices] background refresh failed:", err.message))
+    );
+    return entry;
+  }
+  return refreshDeviceList(tailnet);
+}
+
+function refreshDeviceList(tailnet) {
+  let inflight = deviceListInflight.get(tailnet.name);
+  if (!inflight) {
+    inflight = fetchDeviceList(tailnet)
+      .then(async (entry) => {
+        deviceListMemo.set(tailnet.name, entry);
+        await writeCachedDeviceList(tailnet.name, entry);
+        return entry;
+      })
+      .finally(() => deviceListInflight.delete(tailnet.name));
+    deviceListInflight.set(tailnet.name, inflight);
+  }
+  return inflight;
+}
+
+async function fetchDeviceList(tailnet) {
+  const data = await tailscaleApi(tailnet.creds, `/tailnet/${tailnet.path}/devices?fields=all`);
+  return { devices: data.devices ?? [], fetchedAt: Date.now() };
+}
+
+async function readCachedDeviceList(name) {
+  try {
+    const hit = await caches.default.match(DEVICES_CACHE_URL + encodeURIComponent(name));
+    return hit ? await hit.json() : null;
+  } catch {
+    // Cache API unavailable (e.g. some preview environments) — memo only
+    return null;
+  }
+}
+
+async function writeCachedDeviceList(name, entry) {
+  try {
+    await caches.default.put(DEVICES_CACHE_URL + encodeURIComponent(name), new Response(JSON.stringify(entry), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": `max-age=${(DEVICES_FRESH_MS + DEVICES_STALE_MS) / 1000}`,
+      },
+    }));
+  } catch {}
+}
+
+/**
+ * Reduce a raw Tailscale API device to the fields the frontend needs.
+ * `d.name` must be present.
+ */
+function trimDevice(d, now) {
+  // The Tailscale REST API does not return an `online` field.  Use
+  // connectedToControl where the API provides it, else infer it from
+  // lastSeen: a device that checked in within the last 10 minutes is
+  // considered online.  The browser replaces this with the live state from
+  // its netmap once the node is up.
+  const lastSeenMs = d.lastSeen ? new Date(d.lastSeen).getTime() : 0;
+  const online = typeof d.connectedToControl === "boolean"
+    ? d.connectedToControl
+    : lastSeenMs > 0 && (now - lastSeenMs) < 10 * 60 * 1000;
+
+  return {
+    id:              d.id,
+    name:            d.name,                        // full MagicDNS FQDN e.g. "jkt02-mvn-1.taila58d0.ts.net"
+    displayName:     d.name.split(".")[0],           // unique short label  e.g. "jkt02-mvn-1"
+    hostname:        d.hostname ?? "",               // OS hostname (may be non-unique)
+    addresses:       d.addresses ?? [],
+    os:              d.os ?? "",
+    online,
+    lastSeen:        d.lastSeen ?? null,
+    sshEnabled:      d.sshEnabled ?? false,
+    tags:            d.tags ?? [],
+    clientVersion:   d.clientVersion ?? "",
+    // null when key expiry is disabled for the device
+    keyExpiry:       d.keyExpiryDisabled ? null : (d.expires ?? null),
+    updateAvailable: d.updateAvailable ?? false,
+    authorized:      d.authorized ?? false,
+    user:            d.user ?? "",                   // owning user's login, empty for tagged devices
+  };
+}
+
+/**
+ * Parse the /api/devices query filters into { matches(device) } over trimmed
+ * devices, or { error } for a malformed value.
+ */
+function parseDeviceQuery(params) {
+  const parseBool = (name) => {
+    const v = params.get(name);
+    if (v === null || v === "") return { value: null };
+    if (v === "true" || v === "1")  return { value: true };
+    if (v === "false" || v === "0") return { value: false };
+    return { error: `?${name}= must be true or false` };
+  };
+
+  const online = parseBool("online");
+  if (online.error) return { error: online.error };
+  const ssh = parseBool("ssh");
+  if (ssh.error) return { error: ssh.error };
+
+  const tags = params.getAll("tag").filter(Boolean);
+  const oses = params.getAll("os").filter(Boolean).map(o => o.toLowerCase());
+  const q    = (params.get("q") ?? "").trim().toLowerCase();
+
+  return {
+    matches(d) {
+      if (tags.length && !tags.some(t => d.tags.includes(t))) return false;
+      if (oses.length && !oses.includes(d.os.toLowerCase()))  return false;
+      if (online.value !== null && d.online !== online.value)  return false;
+      if (ssh.value !== null && d.sshEnabled !== ssh.value)    return false;
+      if (q) {
+        const haystack = [
+          d.displayName, d.hostname, d.os, d.user, ...d.addresses, ...d.tags,
+        ].join(" ").toLowerCase();
+        if (!haystack.includes(q)) return false;
+      }
+      return true;
+    },
+  };
+}
+
+// ─── Cloudflare Access ───────────────────────────────────────────────────────
+
+// Access rotates its signing keys every 6 weeks and publishes the new key well
+// in advance, so an hour-long cache is safe.  An unknown `kid` forces a refetch,
+// but at most once a minute so tokens with made-up kids can't hammer the
+// certs endpoint.
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const JWKS_FORCE_MIN_INTERVAL_MS = 60 * 1000;
+
+/** @type {{ teamDomain: string, keys: Map<string, CryptoKey>, fetchedAt: number } | null} */
+let jwksCache = null;
+
+/**
+ * Verify the caller's Cloudflare Access JWT.
+ *
+ * The token is read from the Cf-Access-Jwt-Assertion header that Access adds
+ * to proxied requests, falling back to the CF_Authorization cookie.
+ *
+ * Returns { identity } on success — identity is null when Access is not
+ * configured — or { error } holding a ready-to-send 401/403/500/502 response.
+ */
+async function authenticate(request, env) {
+  const teamDomain = normalizeTeamDomain(env.CF_ACCESS_TEAM_DOMAIN);
+  const audiences  = splitList(env.CF_ACCESS_AUD);
+
+  if (!teamDomain && !audiences.length) return { identity: null };
+  if (!teamDomain || !audiences.length) {
+    return {
+      error: json(
+        { error: "Cloudflare Access is half-configured: set both CF_ACCESS_TEAM_DOMAIN and CF_ACCESS_AUD." },
+        { status: 500 }
+      ),
+    };
+  }
+
+  const token = request.headers.get("Cf-Access-Jwt-Assertion")
+    || getCookie(request, "CF_Authorization");
+  if (!token) {
+    return { error: json({ error: "Missing Cloudflare Access token" }, { status: 401 }) };
+  }
+
+  let claims;
+  try {
+    claims = await verifyAccessJwt(token, teamDomain);
+  } catch (err) {
+    // Failures to reach Access are ours, not the caller's: don't blame the token
+    if (err.status) {
+      return { error: json({ error: `Could not verify Cloudflare Access token: ${err.message}` }, { status: err.status }) };
+    }
+    return { error: json({ error: `Invalid Cloudflare Access token: ${err.message}` }, { status: 401 }) };
+  }
+
+  // `aud` is an array in Access tokens, but the JWT spec also allows a string
+  const tokenAud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!tokenAud.some(a => audiences.includes(a))) {
+    return { error: json({ error: "Cloudflare Access token is not valid for this application" }, { status: 403 }) };
+  }
+
+  return {
+    identity: {
+      // Service tokens carry common_name (the client ID) instead of an email
+      email: claims.email ?? claims.common_name ?? null,
+      sub:   claims.sub ?? null,
+    },
+  };
+}
+
+/**
+ * Check signature, issuer and validity window of an RS256 Access JWT and
+ * return its claims.  Throws with a short reason on any failure; errors
+ * carrying a `status` mean the signing keys could not be fetched.
+ */
+async function verifyAccessJwt(token, teamDomain) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new Error("malformed token");
+
+  let header, claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+  } catch {
+    throw new Error("malformed token");
+  }
+  if (header.alg !== "RS256") throw new Error(`unsupported algorithm ${header.alg}`);
+
+  let key = (await getAccessKeys(teamDomain)).get(header.kid);
+  if (!key) key = (await getAccessKeys(teamDomain, { force: true })).get(header.kid);
+  if (!key) throw new Error("unknown signing key");
+
+  const valid = await crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    base64UrlDecode(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) throw new Error("bad signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp <= now) throw new Error("token expired");
+  if (typeof claims.nbf === "number" && claims.nbf > now) throw new Error("token not yet valid");
+  if (claims.iss !== `https://${teamDomain}`) throw new Error("wrong issuer");
+
+  return claims;
+}
+
+/**
+ * Fetch the team's signing keys from /cdn-cgi/access/certs, cached per
+ * isolate for JWKS_TTL_MS.  A forced refetch is skipped when the cache is
+ * younger than JWKS_FORCE_MIN_INTERVAL_MS.  Returns a Map of kid → CryptoKey;
+ * throws a 502 httpError when Access can't be reached or answers garbage.
+ */
+async function getAccessKeys(teamDomain, { force = false } = {}) {
+  if (jwksCache && jwksCache.teamDomain === teamDomain) {
+    const age = Date.now() - jwksCache.fetchedAt;
+    if (age < (force ? JWKS_FORCE_MIN_INTERVAL_MS : JWKS_TTL_MS)) return jwksCache.keys;
+  }
+
+  let keys;
+  try {
+    const resp = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    ({ keys = [] } = await resp.json());
+    if (!Array.isArray(keys)) throw new Error("no key list");
+  } catch (err) {
+    throw httpError(`could not fetch signing keys (${err.message})`, 502);
+  }
+
+  const imported = new Map();
+  for (const jwk of keys) {
+    if (jwk.kty !== "RSA" || !jwk.kid) continue;
+    try {
+      imported.set(jwk.kid, await crypto.subtle.importKey(
+        "jwk",
+        jwk,
+        { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+        false,
+        ["verify"]
+      ));
+    } catch {
+      // One unusable key shouldn't take the others down with it
+    }
+  }
+
+  jwksCache = { teamDomain, keys: imported, fetchedAt: Date.now() };
+  return imported;
+}
+
+/** Accept "myteam", "myteam.cloudflareaccess.com" or a full https:// URL. */
+function normalizeTeamDomain(value) {
+  const v = (value ?? "").trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  if (!v) return "";
+  return v.includes(".") ? v : `${v}.cloudflareaccess.com`;
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(str.length / 4) * 4, "=");
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get("Cookie") ?? "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return null;
+}
+
+// ─── Device visibility policy ────────────────────────────────────────────────
+
+/**
+ * Load the device visibility policy, or null when none is configured.
+ *
+ * The DEVICE_POLICY var takes precedence; otherwise the "device-policy" key of
+ * the POLICY_KV namespace is used, so the policy can be edited without a
+ * redeploy.  Shape:
+ *
+ *   {
+ *     "default": "allow",                       // or "deny" — callers no rule matches
+ *     "rules": [
+ *       { "identities": ["*@contractor.example"], "tags": ["tag:staging"] },
+ *       { "identities": ["ops@example.com"], "os": ["linux"], "names": ["web-*"] }
+ *     ]
+ *   }
+ *
+ * The first rule whose `identities` glob matches the caller's email applies.
+ * A device is visible under that rule when it satisfies every criterion the
+ * rule lists (tags, os, names), each criterion matching if any of its globs
+ * does.  `names` is tested against both the MagicDNS short name and the OS
+ * hostname.  Throws if the policy is not valid JSON or has the wrong shape —
+ * including criteria that aren't arrays of strings, such as `"tags": "tag:x"`.
+ */
+async function loadDevicePolicy(env) {
+  let raw = env.DEVICE_POLICY;
+  if (!raw && env.POLICY_KV) {
+    raw = await env.POLICY_KV.get("device-policy", { cacheTtl: 60 });
+  }
+  if (!raw) return null;
+
+  const policy = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!isPlainObject(policy)) throw new Error("policy must be a JSON object");
+  if (policy.default !== undefined && policy.default !== "allow" && policy.default !== "deny") {
+    throw new Error(`"default" must be "allow" or "deny"`);
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    throw new Error(`"rules" must be an array`);
+  }
+  for (const rule of policy.rules ?? []) {
+    if (!isPlainObject(rule)) throw new Error("every rule must be an object");
+    if (!isStringArray(rule.identities)) throw new Error(`every rule needs an "identities" array of strings`);
+    // The filter only runs per device, long after loading — catch bad criteria here
+    for (const key of ["tags", "os", "names"]) {
+      if (rule[key] !== undefined && !isStringArray(rule[key])) {
+        throw new Error(`"${key}" must be an array of strings`);
+      }
+    }
+  }
+  return policy;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === "string");
+}
+
+/**
+ * Build a predicate over raw Tailscale API device objects for this caller.
+ * No policy means every device is visible.  A caller without an identity
+ * (Access not configured) matches no rule and gets the default.
+ */
+function devicePolicyFilter(policy, identity) {
+  if (!policy) return () => true;
+
+  const email = identity?.email ?? null;
+  const rule  = email
+    ? (policy.rules ?? []).find(r => r.identities.some(g => globMatch(g, email)))
+    : undefined;
+
+  if (!rule) {
+    const allow = (policy.default ?? "allow") === "allow";
+    return () => allow;
+  }
+
+  const anyMatch = (globs, values) => globs.some(g => values.some(v => globMatch(g, v)));
+
+  return (d) => {
+    if (rule.tags  && !anyMatch(rule.tags, d.tags ?? [])) return false;
+    if (rule.os    && !anyMatch(rule.os, [d.os ?? ""])) return false;
+    if (rule.names && !anyMatch(rule.names, [d.name.split(".")[0], d.hostname ?? ""])) return false;
+    return true;
+  };
+}
+
+/** Case-insensitive glob match supporting `*` and `?`. */
+function globMatch(glob, value) {
+  const re = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${re}$`, "i").test(value);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** An Error carrying the HTTP status the client should see. */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Split a comma-separated setting into trimmed, non-empty items. */
+function splitList(value) {
+  return (value ?? "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** True if the request's If-None-Match lists `etag` (or is "*"). */
+function ifNoneMatch(request, etag) {
+  const header = request.headers.get("If-None-Match");
+  if (!header) return false;
+  return header.split(",").some(t => {
+    const v = t.trim().replace(/^W\//, "");
+    return v === "*" || v === etag;
   });
 }
 